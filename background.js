@@ -1,66 +1,15 @@
 // Background service worker for TOTP Chrome extension
 
-// TOTP Generator (shared utility)
-class TOTPGenerator {
-  static base32Decode(encoded) {
-    const base32Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-    encoded = encoded.replace(/=+$/, '');
-    let bits = '';
-    
-    for (let i = 0; i < encoded.length; i++) {
-      const val = base32Chars.indexOf(encoded.charAt(i).toUpperCase());
-      if (val === -1) throw new Error('Invalid base32 character');
-      bits += val.toString(2).padStart(5, '0');
-    }
-    
-    const bytes = new Uint8Array(Math.floor(bits.length / 8));
-    for (let i = 0; i < bytes.length; i++) {
-      bytes[i] = parseInt(bits.substr(i * 8, 8), 2);
-    }
-    
-    return bytes;
-  }
-
-  static async hmacSha1(key, data) {
-    const cryptoKey = await crypto.subtle.importKey(
-      'raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
-    );
-    const signature = await crypto.subtle.sign('HMAC', cryptoKey, data);
-    return new Uint8Array(signature);
-  }
-
-  static async generateTOTP(secret, timestamp = null, digits = 6, period = 30) {
-    try {
-      const key = this.base32Decode(secret);
-      const time = timestamp || Math.floor(Date.now() / 1000);
-      const counter = Math.floor(time / period);
-      
-      const counterBytes = new ArrayBuffer(8);
-      const counterView = new DataView(counterBytes);
-      counterView.setUint32(4, counter, false);
-      
-      const hmac = await this.hmacSha1(key, counterBytes);
-      const offset = hmac[hmac.length - 1] & 0xf;
-      
-      const code = (
-        ((hmac[offset] & 0x7f) << 24) |
-        ((hmac[offset + 1] & 0xff) << 16) |
-        ((hmac[offset + 2] & 0xff) << 8) |
-        (hmac[offset + 3] & 0xff)
-      ) % Math.pow(10, digits);
-      
-      return code.toString().padStart(digits, '0');
-    } catch (error) {
-      throw new Error('Invalid secret key');
-    }
-  }
-}
+importScripts('totp.js', 'vault.js', 'psl.js', 'domains.js', 'storage.js', 'migrations.js');
 
 // Storage utilities
 class BackgroundStorage {
-  static async getSecretsForDomain(domain) {
-    const result = await chrome.storage.local.get([domain]);
-    return result[domain] || [];
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return '';
+    }
   }
 
   static async getCurrentDomain() {
@@ -84,17 +33,33 @@ chrome.commands.onCommand.addListener(async (command) => {
   }
 });
 
-async function handleTOTPShortcut() {
+// Fills a code into the given tab (the active tab for the keyboard shortcut).
+// Without a frame ({ frameId, url }) the best frame in the tab is found first.
+async function handleTOTPShortcut(tab = null, frame = null) {
   try {
+    if (!tab) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+    if (!tab?.id) return;
+
+    if (!frame) {
+      frame = await findTargetFrame(tab);
+    }
+
     // Get current domain
-    const domain = await BackgroundStorage.getCurrentDomain();
+    const domain = resolveFrameDomain(frame.url);
     if (!domain) {
       console.log('No active domain found');
       return;
     }
 
+    if (await Vault.isLocked()) {
+      await promptVaultUnlock(tab);
+      return;
+    }
+
     // Get secrets for current domain
-    const secrets = await BackgroundStorage.getSecretsForDomain(domain);
+    const secrets = await StorageManager.getSecretsForDomain(domain);
     if (secrets.length === 0) {
       // Show notification that no secrets are configured
       chrome.notifications.create({
@@ -106,26 +71,28 @@ async function handleTOTPShortcut() {
       return;
     }
 
-    // Use the first secret if multiple exist
-    // In a more advanced version, you could show a selection UI
-    const secret = secrets[0];
-    
-    // Generate TOTP code
-    const code = await TOTPGenerator.generateTOTP(
-      secret.secret, null, secret.digits || 6, secret.period || 30
-    );
-
-    // Get current tab and inject content script to paste the code
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab?.id) {
-      // Send message to content script to paste the code
-      await chrome.tabs.sendMessage(tab.id, {
-        action: 'pasteTOTP',
-        code: code,
-        secretName: secret.name
-      });
+    // With several accounts, use the one pinned for this domain or let
+    // the user pick one on the page
+    let secret = secrets[0];
+    if (secrets.length > 1) {
+      const { defaultSecretId } = await StorageManager.getDomainSettings(domain);
+      secret = secrets.find(s => s.id === defaultSecretId);
+      if (!secret) {
+        // The chooser shows in the top frame; remember where the code goes
+        await chrome.storage.session.set({
+          pendingChoice: { tabId: tab.id, frameId: frame.frameId, domain }
+        });
+        await chrome.tabs.sendMessage(tab.id, {
+          action: 'chooseAccount',
+          domain,
+          accounts: StorageManager.toAccountMetadata(secrets)
+        }, { frameId: 0 });
+        return;
+      }
     }
 
+    await pasteSecretCode(tab.id, secret, domain, frame.frameId);
+
   } catch (error) {
     console.error('Error handling TOTP shortcut:', error);
     
@@ -139,6 +106,90 @@ async function handleTOTPShortcut() {
   }
 }
 
+// Asks every frame how good a place it is for the code: a focused input
+// wins, then OTP-looking fields, then any text field. Ties go to the top frame.
+// A frame from another host only counts when the user is in one of its
+// fields and it has accounts of its own, so an ad's text box never wins.
+async function findTargetFrame(tab) {
+  const tabDomain = BackgroundStorage.getHostname(tab.url);
+  let frames = [{ frameId: 0, url: tab.url }];
+  try {
+    frames = (await chrome.webNavigation.getAllFrames({ tabId: tab.id })) || frames;
+  } catch (error) {
+    console.error('Error listing frames:', error);
+  }
+
+  const probes = await Promise.all(frames.map(async (frame) => {
+    try {
+      const response = await chrome.tabs.sendMessage(
+        tab.id, { action: 'probeOtpField' }, { frameId: frame.frameId }
+      );
+      let score = response?.score || 0;
+      const domain = resolveFrameDomain(frame.url);
+      if (frame.frameId !== 0 && domain !== tabDomain &&
+          (score < 3 || (await StorageManager.getAccountsForDomain(domain)).length === 0)) {
+        score = 0;
+      }
+      return { frameId: frame.frameId, url: frame.url, score };
+    } catch {
+      // No content script in this frame (e.g. a chrome:// or sandboxed frame)
+      return { frameId: frame.frameId, url: frame.url, score: 0 };
+    }
+  }));
+
+  probes.sort((a, b) => (b.score - a.score) || ((a.frameId === 0 ? 0 : 1) - (b.frameId === 0 ? 0 : 1)));
+  return probes[0];
+}
+
+// A frame only ever gets the accounts of its own host. A frame from another
+// site (an embedded identity provider, say) never falls back to the page's
+// accounts: any ad or widget on the page would get their codes.
+function resolveFrameDomain(frameUrl) {
+  return BackgroundStorage.getHostname(frameUrl);
+}
+
+// useContextTarget fills the field that was right-clicked instead of
+// looking for one
+async function pasteSecretCode(tabId, secret, domain, frameId = 0, useContextTarget = false) {
+  const code = await StorageManager.generateCodeToUse(secret);
+
+  const { fieldSelector, submitSelector } = await StorageManager.getDomainSettings(domain);
+  await StorageManager.recordUsage(secret.id);
+
+  // Send message to content script to paste the code
+  await chrome.tabs.sendMessage(tabId, {
+    action: 'pasteTOTP',
+    code: code,
+    secretName: secret.name,
+    autoSubmit: await StorageManager.shouldAutoSubmit(domain),
+    fieldSelector,
+    submitSelector,
+    useContextTarget
+  }, { frameId });
+}
+
+// Opens the popup on its unlock screen. With resume, the shortcut is
+// remembered so the popup can ask for it to be finished once unlocked.
+async function promptVaultUnlock(tab, resume = true) {
+  if (resume) {
+    await chrome.storage.session.set({
+      pendingShortcut: { tabId: tab?.id, requestedAt: Date.now() }
+    });
+  }
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // openPopup is not available in every Chrome version or window state
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'TOTP Generator',
+      message: 'Your secrets are locked. Open the extension to unlock them, then press the shortcut again.'
+    });
+  }
+}
+
 // Handle messages from popup and content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'generateTOTP') {
@@ -150,15 +201,47 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     handleGetCurrentDomain(sendResponse);
     return true;
   }
+  
+  if (request.action === 'vaultUnlocked') {
+    handleVaultUnlocked(sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'accountChosen') {
+    handleAccountChosen(request, sender, sendResponse);
+    return true;
+  }
+  
+  // Inline fill button in a page's OTP field
+  if (request.action === 'getPageAccounts') {
+    handleGetPageAccounts(sender, sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'saveSiteRule') {
+    handleSaveSiteRule(request, sender, sendResponse);
+    return true;
+  }
+  
+  if (request.action === 'cancelPicker') {
+    stopPickerInTab(sender.tab.id);
+    sendResponse({ success: true });
+  }
+  
+  if (request.action === 'fillCode') {
+    handleTOTPShortcut(sender.tab, { frameId: sender.frameId, url: sender.url });
+    sendResponse({ success: true });
+  }
 });
 
 async function handleGenerateTOTP(request, sendResponse) {
   try {
-    const code = await TOTPGenerator.generateTOTP(
+    const { code } = await TOTPGenerator.generateTOTP(
       request.secret,
       request.timestamp,
       request.digits,
-      request.period
+      request.period,
+      request.algorithm
     );
     sendResponse({ success: true, code });
   } catch (error) {
@@ -175,8 +258,95 @@ async function handleGetCurrentDomain(sendResponse) {
   }
 }
 
+async function handleVaultUnlocked(sendResponse) {
+  try {
+    const { pendingShortcut } = await chrome.storage.session.get(['pendingShortcut']);
+    await chrome.storage.session.remove('pendingShortcut');
+
+    // Only resume a recent shortcut on the tab it was pressed in
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const resumed = !!pendingShortcut &&
+      pendingShortcut.tabId === tab?.id &&
+      Date.now() - pendingShortcut.requestedAt < 60000;
+
+    if (resumed) {
+      await handleTOTPShortcut();
+    }
+    sendResponse({ success: true, resumed });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// The choosers only know account ids and names; the secret itself is looked
+// up again here, for the frame the chooser was for. The page's chooser only
+// answers for its own tab; the chooser window for the tab it was opened for.
+async function handleAccountChosen(request, sender, sendResponse) {
+  try {
+    const fromChooserWindow = sender.url?.startsWith(chrome.runtime.getURL('chooser.html'));
+    const { pendingChoice } = await chrome.storage.session.get(['pendingChoice']);
+    const expectedSender = pendingChoice?.inWindow ? fromChooserWindow : pendingChoice?.tabId === sender.tab?.id;
+    if (!pendingChoice || !expectedSender) {
+      throw new Error('No account choice is pending');
+    }
+    await chrome.storage.session.remove('pendingChoice');
+
+    // A choice without a domain came from "Other accounts…" in the context menu
+    const { tabId, domain, pageDomain, frameId, useContextTarget } = pendingChoice;
+    const secrets = domain
+      ? await StorageManager.getSecretsForDomain(domain)
+      : await StorageManager.getAllSecrets();
+    const secret = secrets.find(s => s.id === request.secretId);
+    if (!secret) throw new Error('Account not found');
+
+    if (request.pin && domain) {
+      await StorageManager.saveDomainSettings(domain, { defaultSecretId: secret.id });
+    }
+
+    await pasteSecretCode(tabId, secret, domain || pageDomain, frameId, !!useContextTarget);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error pasting chosen account:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Tells a page whether it has accounts, without revealing anything else
+async function handleGetPageAccounts(sender, sendResponse) {
+  try {
+    const domain = resolveFrameDomain(sender.url);
+    const accounts = await StorageManager.getAccountsForDomain(domain);
+    const { showInlineButton } = await StorageManager.getSettings();
+    const { fieldSelector } = await StorageManager.getDomainSettings(domain);
+    sendResponse({ success: true, count: accounts.length, showInlineButton, fieldSelector });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Selector picked on the page in "pick the field" mode. It is saved for the
+// frame it was picked in, which is the domain the shortcut fills it for.
+async function handleSaveSiteRule(request, sender, sendResponse) {
+  try {
+    stopPickerInTab(sender.tab.id);
+    const domain = resolveFrameDomain(sender.url);
+    if (!domain) throw new Error('This frame has no website');
+
+    const key = request.target === 'submit' ? 'submitSelector' : 'fieldSelector';
+    await StorageManager.saveDomainSettings(domain, { [key]: request.selector });
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// The picker runs in every frame of the tab until one of them is done
+function stopPickerInTab(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: 'stopPicker' }).catch(() => {});
+}
+
 // Handle extension installation
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
     // Set up default settings or show welcome page
     console.log('TOTP Generator extension installed');
@@ -184,6 +354,13 @@ chrome.runtime.onInstalled.addListener((details) => {
     // Handle extension updates
     console.log('TOTP Generator extension updated');
   }
+
+  try {
+    await StorageMigrations.run();
+  } catch (error) {
+    console.error('Error migrating storage:', error);
+  }
+  updateContextMenu();
 });
 
 // Handle tab updates to refresh domain-specific data
@@ -191,8 +368,265 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
     // Could be used to refresh popup if it's open
     // or update any cached domain-specific data
+    if (tab.active) {
+      updateContextMenu();
+    }
+  }
+});
+
+// "Insert TOTP code" on editable fields, with the current site's accounts.
+// Menus can't be built when opened, so the list follows the active tab.
+const CONTEXT_MENU_ROOT = 'insert-totp';
+const CONTEXT_MENU_OTHER = 'insert-totp-other';
+const CONTEXT_MENU_ACCOUNT_PREFIX = 'insert-totp-account:';
+
+let contextMenuUpdate = Promise.resolve();
+
+function updateContextMenu() {
+  // Rebuilds run one at a time so menu ids never clash
+  contextMenuUpdate = contextMenuUpdate
+    .then(rebuildContextMenu)
+    .catch(error => console.error('Error updating context menu:', error));
+  return contextMenuUpdate;
+}
+
+async function rebuildContextMenu() {
+  const domain = await BackgroundStorage.getCurrentDomain();
+  const accounts = domain ? await StorageManager.getAccountsForDomain(domain) : [];
+  // '&' marks an access key in menu titles
+  const menuTitle = text => text.replace(/&/g, '&&');
+
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ROOT,
+    title: 'Insert TOTP code',
+    contexts: ['editable']
+  });
+
+  for (const account of accounts) {
+    const label = account.issuer && account.issuer !== account.name
+      ? `${account.name} (${account.issuer})`
+      : account.name;
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ACCOUNT_PREFIX + account.id,
+      parentId: CONTEXT_MENU_ROOT,
+      title: menuTitle(label),
+      contexts: ['editable']
+    });
+  }
+
+  if (accounts.length > 0) {
+    chrome.contextMenus.create({
+      id: 'insert-totp-separator',
+      parentId: CONTEXT_MENU_ROOT,
+      type: 'separator',
+      contexts: ['editable']
+    });
+  }
+
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_OTHER,
+    parentId: CONTEXT_MENU_ROOT,
+    title: 'Other accounts…',
+    contexts: ['editable']
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab);
+});
+
+async function handleContextMenuClick(info, tab) {
+  const menuItemId = String(info.menuItemId);
+  if (!menuItemId.startsWith(CONTEXT_MENU_ROOT) || !tab?.id) return;
+
+  try {
+    if (await Vault.isLocked()) {
+      await promptVaultUnlock(tab, false);
+      return;
+    }
+
+    // The field may be in a frame from another site, which only gets codes
+    // for its own host, as with the keyboard shortcut
+    const domain = resolveFrameDomain(info.frameId ? info.frameUrl : tab.url);
+    const tabDomain = BackgroundStorage.getHostname(tab.url);
+
+    // The list of every account is shown in an extension window, not on the page
+    if (menuItemId === CONTEXT_MENU_OTHER) {
+      await chrome.storage.session.set({
+        pendingChoice: { tabId: tab.id, frameId: info.frameId, domain: null, pageDomain: domain, useContextTarget: true, inWindow: true }
+      });
+      await chrome.windows.create({ url: 'chooser.html', type: 'popup', width: 380, height: 520 });
+      return;
+    }
+
+    if (menuItemId.startsWith(CONTEXT_MENU_ACCOUNT_PREFIX)) {
+      const secretId = menuItemId.slice(CONTEXT_MENU_ACCOUNT_PREFIX.length);
+      const secrets = await StorageManager.getSecretsForDomain(domain);
+      const secret = secrets.find(s => s.id === secretId);
+      // The menu lists the page's accounts, not those of the frame
+      if (!secret && domain !== tabDomain) {
+        chrome.notifications?.create({
+          type: 'basic',
+          iconUrl: 'icons/icon48.png',
+          title: 'TOTP Generator',
+          message: `This field belongs to ${domain || 'another site'}, not ${tabDomain}. Use "Other accounts…" to choose an account for it.`
+        });
+        return;
+      }
+      if (!secret) throw new Error('Account not found');
+
+      await pasteSecretCode(tab.id, secret, domain, info.frameId, true);
+    }
+  } catch (error) {
+    console.error('Error inserting TOTP code from context menu:', error);
+    chrome.notifications?.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'TOTP Generator Error',
+      message: 'Failed to insert TOTP code'
+    });
+  }
+}
+
+chrome.tabs.onActivated.addListener(() => updateContextMenu());
+chrome.windows.onFocusChanged.addListener(() => updateContextMenu());
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local') {
+    updateContextMenu();
   }
 });
+chrome.runtime.onStartup.addListener(() => updateContextMenu());
+
+// "otp <search>" in the address bar looks up any account and copies its code
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+
+// Suggestion text -> secret id for the suggestions shown last
+let omniboxSuggestions = new Map();
+
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Copy the code for an account (search by name, issuer or website)'
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  handleOmniboxInput(text, suggest);
+});
+
+chrome.omnibox.onInputEntered.addListener((text) => {
+  handleOmniboxEntered(text);
+});
+
+async function searchAccounts(text) {
+  return StorageManager.searchSecrets(await StorageManager.getAllStoredSecrets(), text);
+}
+
+function escapeOmniboxXml(text) {
+  return String(text || '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[char]);
+}
+
+async function handleOmniboxInput(text, suggest) {
+  try {
+    const locked = await Vault.isLocked();
+    const settings = await StorageManager.getSettings();
+    const matches = (await searchAccounts(text)).slice(0, OMNIBOX_MAX_SUGGESTIONS);
+    const secrets = locked ? matches : await StorageManager.openSecrets(matches);
+
+    omniboxSuggestions = new Map();
+    const suggestions = [];
+    for (const secret of secrets) {
+      // HOTP codes are only generated when copied, so the counter isn't wasted
+      let code;
+      if (locked) {
+        code = 'unlock to see the code';
+      } else if (secret.type === 'hotp') {
+        code = 'press Enter for the next code';
+      } else {
+        try {
+          ({ code } = await TOTPGenerator.generateTOTP(
+            secret.secret, StorageManager.codeTime(settings), secret.digits || 6, secret.period || 30, secret.algorithm
+          ));
+        } catch (error) {
+          code = 'invalid secret';
+        }
+      }
+
+      const issuer = secret.issuer && secret.issuer !== secret.name ? ` (${secret.issuer})` : '';
+      const content = `${secret.name}${issuer} - ${secret.website}`;
+      if (omniboxSuggestions.has(content)) continue;
+      omniboxSuggestions.set(content, secret.id);
+
+      suggestions.push({
+        content,
+        description: `<match>${escapeOmniboxXml(secret.name + issuer)}</match> ` +
+          `<dim>${escapeOmniboxXml(secret.website)}</dim> ` +
+          `<url>${escapeOmniboxXml(code)}</url>`
+      });
+    }
+    suggest(suggestions);
+  } catch (error) {
+    console.error('Error searching accounts:', error);
+    suggest([]);
+  }
+}
+
+// Copies the code for the chosen suggestion, or for the best match when the
+// search text itself was entered
+async function handleOmniboxEntered(text) {
+  try {
+    if (await Vault.isLocked()) {
+      await promptVaultUnlock(null, false);
+      return;
+    }
+
+    const secretId = omniboxSuggestions.get(text) || (await searchAccounts(text))[0]?.id;
+    const secrets = await StorageManager.getAllSecrets();
+    const secret = secrets.find(s => s.id === secretId);
+    if (!secret) {
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'TOTP Generator',
+        message: `No account matches "${text}"`
+      });
+      return;
+    }
+
+    const code = await StorageManager.generateCodeToUse(secret);
+    await copyToClipboard(code);
+    await StorageManager.recordUsage(secret.id);
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'TOTP Generator',
+      message: `Code for ${secret.name} copied to the clipboard`
+    });
+  } catch (error) {
+    console.error('Error copying TOTP code:', error);
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'TOTP Generator Error',
+      message: 'Failed to copy TOTP code'
+    });
+  }
+}
+
+// The service worker can't reach the clipboard, so an offscreen document does it
+async function copyToClipboard(text) {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['CLIPBOARD'],
+      justification: 'Copy codes chosen from the address bar'
+    });
+  }
+
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copyToClipboard', text });
+  if (!response?.success) throw new Error('Could not copy to the clipboard');
+}
 
 // Cleanup notifications on click
 chrome.notifications?.onClicked.addListener((notificationId) => {
@@ -0,0 +1,84 @@
+// Window for "Other accounts…" in the context menu: every account to pick
+// from, shown in the extension rather than on the page so the page never
+// sees the account names. The code is inserted into the right-clicked field.
+class AccountChooserWindow {
+  constructor() {
+    this.accounts = [];
+    this.visible = [];
+    this.selected = 0;
+
+    this.title = document.getElementById('chooserTitle');
+    this.search = document.getElementById('chooserSearch');
+    this.list = document.getElementById('chooserList');
+    this.error = document.getElementById('chooserError');
+
+    this.bindEvents();
+    this.initialize();
+  }
+
+  bindEvents() {
+    this.search.addEventListener('input', () => {
+      this.selected = 0;
+      this.render();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (this.visible.length > 0) {
+          this.selected = (this.selected + (e.key === 'ArrowDown' ? 1 : -1) + this.visible.length) % this.visible.length;
+          this.render();
+        }
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (this.visible[this.selected]) this.choose(this.visible[this.selected]);
+      } else if (e.key === 'Escape') {
+        window.close();
+      }
+    });
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-index]');
+      if (item) this.choose(this.visible[parseInt(item.dataset.index)]);
+    });
+  }
+
+  async initialize() {
+    const { pendingChoice } = await chrome.storage.session.get(['pendingChoice']);
+    if (pendingChoice?.pageDomain) {
+      this.title.textContent = `Insert a code on ${pendingChoice.pageDomain}`;
+    }
+
+    this.accounts = StorageManager.toAccountMetadata(await StorageManager.getAllStoredSecrets())
+      .sort((a, b) => a.name.localeCompare(b.name));
+    this.render();
+    this.search.focus();
+  }
+
+  render() {
+    this.visible = StorageManager.searchSecrets(this.accounts, this.search.value);
+    this.list.innerHTML = this.visible.length === 0
+      ? '<li class="px-3 py-2 text-sm text-gray-500">No matching accounts</li>'
+      : this.visible.map((account, index) => `
+        <li class="px-3 py-2 rounded cursor-pointer text-sm ${index === this.selected ? 'bg-blue-100' : 'hover:bg-gray-100'}" role="option" data-index="${index}">
+          <div class="font-medium text-gray-800">${PageUtils.escapeHtml(account.name)}</div>
+          ${account.issuer ? `<div class="text-xs text-gray-500">${PageUtils.escapeHtml(account.issuer)}</div>` : ''}
+        </li>
+      `).join('');
+    this.list.querySelector('.bg-blue-100')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  async choose(account) {
+    const response = await chrome.runtime.sendMessage({ action: 'accountChosen', secretId: account.id });
+    if (response?.success) {
+      window.close();
+      return;
+    }
+    this.error.textContent = response?.error || 'Failed to insert the code';
+    this.error.classList.remove('hidden');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new AccountChooserWindow();
+});
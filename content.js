@@ -1,41 +1,117 @@
 // Content script for TOTP Chrome extension
 // Handles auto-filling TOTP codes into input fields
 
+// Inputs that look like they want a one-time code
+const OTP_FIELD_SELECTORS = [
+  // Explicit one-time code hint
+  'input[autocomplete="one-time-code"]',
+  
+  // Common TOTP field patterns
+  'input[name*="code"]',
+  'input[name*="totp"]',
+  'input[name*="otp"]',
+  'input[name*="token"]',
+  'input[name*="verify"]',
+  'input[name*="auth"]',
+  'input[placeholder*="code" i]',
+  'input[placeholder*="verification" i]',
+  'input[placeholder*="authenticator" i]',
+  'input[id*="code"]',
+  'input[id*="totp"]',
+  'input[id*="otp"]',
+  'input[id*="token"]',
+  'input[class*="code"]',
+  'input[class*="otp"]',
+  'input[class*="totp"]',
+  
+  // Split per-digit boxes
+  'input[maxlength="1"]'
+];
+
+// Names that match the patterns above but mean something else, e.g.
+// "postcode", "zip_code" or "promo_code"
+const NON_OTP_FIELD_PATTERN = /post|zip|promo|coupon|voucher|discount|gift|country|captcha/i;
+
+// General input fields, used when nothing looks like a code field
+const FALLBACK_FIELD_SELECTORS = [
+  'input[type="text"]',
+  'input[type="number"]',
+  'input[type="tel"]',
+  'input[type="password"]',
+  'input:not([type])'
+];
+
 class TOTPContentScript {
   constructor() {
+    this.chooser = null;
+    this.uiRoot = null;
+    this.picker = null;
+    this.siteRules = {};
+    this.inlineButtons = new Map();
+    this.scanTimer = null;
+    this.contextTarget = null;
     this.setupMessageListener();
+    this.setupInlineButtons();
+    this.trackContextMenuTarget();
+  }
+
+  // Remembers the field that was right-clicked, for "Insert TOTP code"
+  trackContextMenuTarget() {
+    document.addEventListener('contextmenu', (e) => {
+      this.contextTarget = e.composedPath().find(node => node.nodeType === 1 && this.isValidInputField(node)) || null;
+    }, true);
   }
 
   setupMessageListener() {
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === 'pasteTOTP') {
-        this.handlePasteTOTP(request.code, request.secretName);
+        this.handlePasteTOTP(request.code, request.secretName, {
+          autoSubmit: request.autoSubmit,
+          fieldSelector: request.fieldSelector,
+          submitSelector: request.submitSelector,
+          useContextTarget: request.useContextTarget
+        });
+        sendResponse({ success: true });
+      } else if (request.action === 'probeOtpField') {
+        sendResponse({ score: this.probeOtpField() });
+      } else if (request.action === 'pickField') {
+        this.startPicker(request.target);
+        sendResponse({ success: true });
+      } else if (request.action === 'stopPicker') {
+        this.stopPicker();
+        sendResponse({ success: true });
+      } else if (request.action === 'chooseAccount') {
+        this.showAccountChooser(request.domain, request.accounts);
         sendResponse({ success: true });
       }
       return false;
     });
   }
 
-  handlePasteTOTP(code, secretName) {
+  // options: autoSubmit, the site's fieldSelector and submitSelector rules,
+  // and useContextTarget to fill the field that was right-clicked
+  handlePasteTOTP(code, secretName, options = {}) {
+    const { autoSubmit = false, fieldSelector = '', submitSelector = '', useContextTarget = false } = options;
+    
     try {
-      // Find the currently focused element
-      const activeElement = document.activeElement;
+      // Find the currently focused element, looking inside shadow roots
+      const contextTarget = useContextTarget && this.contextTarget?.isConnected ? this.contextTarget : null;
+      const activeElement = contextTarget || this.getDeepActiveElement();
       
       // Check if the active element is a valid input field
       if (this.isValidInputField(activeElement)) {
         // Paste the TOTP code
-        this.pasteCodeToInput(activeElement, code);
+        const filled = this.fillField(activeElement, code);
         
         // Show a brief confirmation
-        this.showConfirmation(secretName, code);
+        this.showConfirmation(secretName, code, autoSubmit ? () => this.submitField(filled, submitSelector) : null);
       } else {
         // Try to find a suitable input field if none is focused
-        const inputField = this.findBestInputField();
+        const inputField = this.findBestInputField(fieldSelector);
         if (inputField) {
-          this.pasteCodeToInput(inputField, code);
-          inputField.focus();
-          this.showConfirmation(secretName, code);
+          const filled = this.fillField(inputField, code);
+          this.showConfirmation(secretName, code, autoSubmit ? () => this.submitField(filled, submitSelector) : null);
         } else {
           // Copy to clipboard as fallback
           this.copyToClipboard(code);
@@ -50,6 +126,561 @@ class TOTPContentScript {
     }
   }
 
+  // Puts a small fill button over likely OTP fields on pages that have
+  // accounts. The page only ever learns how many accounts there are.
+  async setupInlineButtons() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getPageAccounts' });
+      if (!response?.success || !response.showInlineButton || response.count === 0) return;
+      this.siteRules = { fieldSelector: response.fieldSelector || '' };
+    } catch (error) {
+      return;
+    }
+    
+    // Only what was added or focused since the last scan is searched again
+    const pending = new Set();
+    const scheduleScan = (nodes) => {
+      nodes.forEach(node => node.nodeType === 1 && pending.add(node));
+      if (this.scanTimer) return;
+      this.scanTimer = setTimeout(() => {
+        this.scanTimer = null;
+        const roots = Array.from(pending).filter(node => node.isConnected);
+        pending.clear();
+        this.scanForOtpFields(roots);
+      }, 300);
+    };
+    
+    new MutationObserver(records => scheduleScan(records.flatMap(record => Array.from(record.addedNodes))))
+      .observe(document.documentElement, { childList: true, subtree: true });
+    document.addEventListener('focusin', (e) => scheduleScan([e.composedPath()[0]]), true);
+    window.addEventListener('scroll', () => this.positionInlineButtons(), true);
+    window.addEventListener('resize', () => this.positionInlineButtons());
+    this.scanForOtpFields();
+  }
+
+  // Searches the given subtrees (the whole page by default) for code
+  // fields, and drops buttons whose field has gone or is hidden
+  scanForOtpFields(roots = [document]) {
+    const fields = new Map();
+    const ruleSelector = this.siteRules.fieldSelector;
+    const selectors = ruleSelector ? [ruleSelector, ...OTP_FIELD_SELECTORS] : OTP_FIELD_SELECTORS;
+    
+    for (const root of roots) {
+      for (const selector of selectors) {
+        for (const element of this.querySelectorAllCustom(selector, root)) {
+          if (!this.isValidInputField(element) || !this.isVisible(element) || element.tagName !== 'INPUT') continue;
+          if (selector !== ruleSelector && !this.isLikelyOtpField(element)) continue;
+          
+          // Split boxes get one button next to the group; a lone maxlength=1
+          // input is more likely a middle initial than a code
+          const group = this.findSplitInputs(element);
+          if (group) {
+            fields.set(group[0], group[group.length - 1]);
+          } else if (!this.isSingleCharInput(element)) {
+            fields.set(element, element);
+          }
+        }
+      }
+    }
+    
+    for (const [field, entry] of this.inlineButtons) {
+      if (!field.isConnected || !this.isVisible(field)) {
+        entry.button.remove();
+        this.inlineButtons.delete(field);
+      }
+    }
+    
+    for (const [field, anchor] of fields) {
+      if (!this.inlineButtons.has(field)) {
+        this.inlineButtons.set(field, { button: this.createInlineButton(field), anchor });
+      }
+    }
+    
+    this.positionInlineButtons();
+  }
+
+  // The button sits in the closed UI root, so the page can't click it
+  createInlineButton(field) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'totp-inline-button';
+    button.title = 'Fill verification code';
+    button.setAttribute('aria-label', 'Fill verification code');
+    button.innerHTML = `
+      <svg width="14" height="14" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+      </svg>
+    `;
+    
+    // Keep focus in the page's field so the code lands there
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!e.isTrusted) return;
+      field.focus();
+      chrome.runtime.sendMessage({ action: 'fillCode' });
+    });
+    
+    this.getUiRoot().appendChild(button);
+    return button;
+  }
+
+  // Inside the right edge of a normal field, just right of a split group
+  positionInlineButtons() {
+    for (const [field, { button, anchor }] of this.inlineButtons) {
+      const rect = anchor.getBoundingClientRect();
+      if (!field.isConnected || rect.width === 0) {
+        button.style.display = 'none';
+        continue;
+      }
+      
+      const size = 20;
+      const left = anchor === field ? rect.right - size - 4 : rect.right + 4;
+      button.style.display = 'flex';
+      button.style.left = `${left}px`;
+      button.style.top = `${rect.top + (rect.height - size) / 2}px`;
+    }
+  }
+
+  // "Pick the field" mode, started from the popup in every frame: highlights
+  // the element under the mouse and saves a selector for the one that is
+  // clicked, for the host of the frame it is in. Picking or cancelling in
+  // one frame stops the others through the background.
+  startPicker(target) {
+    this.stopPicker();
+    this.injectStyles();
+    
+    const isSubmit = target === 'submit';
+    const candidates = isSubmit
+      ? 'button, input[type="submit"], input[type="button"], [role="button"], a'
+      : 'input, textarea, [contenteditable="true"]';
+    
+    const highlight = document.createElement('div');
+    highlight.className = 'totp-picker-highlight';
+    const banner = document.createElement('div');
+    banner.className = 'totp-picker-banner';
+    banner.textContent = isSubmit
+      ? 'Click the button that submits the code · Esc to cancel'
+      : 'Click the field the code should go in · Esc to cancel';
+    // Only the top frame explains; a small login frame has no room for it
+    document.body.append(highlight);
+    if (window === window.top) {
+      document.body.append(banner);
+    }
+    
+    const candidateAt = (e) => e.composedPath().find(node =>
+      node.nodeType === 1 && node.matches(candidates) && !node.closest('.totp-picker-banner')
+    );
+    
+    const onMove = (e) => {
+      const element = candidateAt(e);
+      if (!element) {
+        highlight.style.display = 'none';
+        return;
+      }
+      const rect = element.getBoundingClientRect();
+      Object.assign(highlight.style, {
+        display: 'block',
+        left: `${rect.left - 2}px`,
+        top: `${rect.top - 2}px`,
+        width: `${rect.width + 4}px`,
+        height: `${rect.height + 4}px`
+      });
+    };
+    
+    const onClick = (e) => {
+      const element = candidateAt(e);
+      e.preventDefault();
+      e.stopPropagation();
+      if (!element) return;
+      
+      const selector = this.buildSelector(element);
+      this.stopPicker();
+      chrome.runtime.sendMessage({ action: 'saveSiteRule', target: isSubmit ? 'submit' : 'field', selector });
+      this.showNotification(`Saved ${isSubmit ? 'submit button' : 'code field'} for ${location.hostname}: ${selector}`, 'success');
+    };
+    
+    // Swallow presses so the page doesn't react to the pick
+    const onPress = (e) => {
+      if (candidateAt(e)) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    };
+    
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.stopPicker();
+        chrome.runtime.sendMessage({ action: 'cancelPicker' });
+      }
+    };
+    
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('mousedown', onPress, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeydown, true);
+    
+    this.picker = () => {
+      document.removeEventListener('mousemove', onMove, true);
+      document.removeEventListener('mousedown', onPress, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('keydown', onKeydown, true);
+      highlight.remove();
+      banner.remove();
+    };
+  }
+
+  stopPicker() {
+    if (this.picker) {
+      this.picker();
+      this.picker = null;
+    }
+  }
+
+  // A short selector that matches only this element: a stable id or
+  // attribute if there is one, otherwise a tag path
+  buildSelector(element) {
+    const tag = element.tagName.toLowerCase();
+    const isUnique = (selector) => this.querySelectorAllCustom(selector).length === 1;
+    // Generated ids like "input-4821" change between page loads
+    const isStableId = (id) => id && !/\d{3,}/.test(id);
+    
+    if (isStableId(element.id) && isUnique(`#${CSS.escape(element.id)}`)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+    
+    for (const attribute of ['name', 'autocomplete', 'data-testid', 'aria-label', 'placeholder']) {
+      const value = element.getAttribute(attribute);
+      const selector = `${tag}[${attribute}="${CSS.escape(value || '')}"]`;
+      if (value && isUnique(selector)) {
+        return selector;
+      }
+    }
+    
+    const steps = [];
+    let node = element;
+    while (node && node.nodeType === 1) {
+      if (node !== element && isStableId(node.id)) {
+        steps.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      
+      let step = node.tagName.toLowerCase();
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+        if (siblings.length > 1) {
+          step += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+        }
+      }
+      steps.unshift(step);
+      node = parent;
+    }
+    return steps.join(' > ');
+  }
+
+  // Lets the user pick which account to paste when a domain has several.
+  // Only account ids and names are sent here, never the secrets. It lives in
+  // the closed UI root and only acts on the user's own clicks and keys, so
+  // the page can neither read the names nor pick an account.
+  showAccountChooser(domain, accounts) {
+    this.closeAccountChooser();
+    
+    // Remember the field the user was in so the code lands there
+    const previousFocus = document.activeElement;
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'totp-chooser-overlay';
+    overlay.innerHTML = `
+      <div class="totp-chooser" role="dialog" aria-label="Choose an account">
+        <div class="totp-chooser-title">Choose an account for ${this.escapeHtml(domain)}</div>
+        <input type="text" class="totp-chooser-search" placeholder="Search accounts" autocomplete="off">
+        <ul class="totp-chooser-list" role="listbox"></ul>
+        <label class="totp-chooser-pin">
+          <input type="checkbox"> Always use this account on ${this.escapeHtml(domain)}
+        </label>
+        <div class="totp-chooser-hint">↑↓ to move · Enter to paste · Esc to cancel</div>
+      </div>
+    `;
+    
+    const search = overlay.querySelector('.totp-chooser-search');
+    const list = overlay.querySelector('.totp-chooser-list');
+    const pin = overlay.querySelector('.totp-chooser-pin input');
+    let visible = accounts;
+    let selected = 0;
+    
+    const render = () => {
+      list.innerHTML = visible.length === 0
+        ? '<li class="totp-chooser-empty">No matching accounts</li>'
+        : visible.map((account, index) => `
+          <li class="totp-chooser-item${index === selected ? ' totp-chooser-selected' : ''}" role="option" data-index="${index}">
+            <div class="totp-chooser-name">${this.escapeHtml(account.name)}</div>
+            ${account.issuer ? `<div class="totp-chooser-issuer">${this.escapeHtml(account.issuer)}</div>` : ''}
+          </li>
+        `).join('');
+      list.querySelector('.totp-chooser-selected')?.scrollIntoView({ block: 'nearest' });
+    };
+    
+    const choose = (account) => {
+      this.closeAccountChooser();
+      if (previousFocus && previousFocus.focus) {
+        previousFocus.focus();
+      }
+      chrome.runtime.sendMessage({ action: 'accountChosen', secretId: account.id, pin: pin.checked });
+    };
+    
+    search.addEventListener('input', () => {
+      const query = search.value.trim().toLowerCase();
+      visible = accounts.filter(account =>
+        `${account.name} ${account.issuer}`.toLowerCase().includes(query)
+      );
+      selected = 0;
+      render();
+    });
+    
+    overlay.addEventListener('keydown', (e) => {
+      if (!e.isTrusted) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (visible.length > 0) {
+          selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + visible.length) % visible.length;
+          render();
+        }
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (visible[selected]) choose(visible[selected]);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeAccountChooser();
+        if (previousFocus && previousFocus.focus) {
+          previousFocus.focus();
+        }
+      }
+      // Keep the page's own shortcuts out of it while the chooser is open
+      e.stopPropagation();
+    });
+    
+    list.addEventListener('click', (e) => {
+      if (!e.isTrusted) return;
+      const item = e.target.closest('.totp-chooser-item');
+      if (item) choose(visible[parseInt(item.dataset.index)]);
+    });
+    
+    // Clicking outside the dialog cancels
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.isTrusted && e.target === overlay) this.closeAccountChooser();
+    });
+    
+    this.getUiRoot().appendChild(overlay);
+    this.chooser = overlay;
+    render();
+    search.focus();
+  }
+
+  closeAccountChooser() {
+    if (this.chooser && this.chooser.parentNode) {
+      this.chooser.parentNode.removeChild(this.chooser);
+    }
+    this.chooser = null;
+  }
+
+  // A closed shadow root for the extension's own UI on the page. Page
+  // scripts can't reach into it and page styles don't apply inside it.
+  getUiRoot() {
+    if (!this.uiRoot) {
+      this.uiHost = document.createElement('totp-extension-ui');
+      this.uiRoot = this.uiHost.attachShadow({ mode: 'closed' });
+      const styles = document.createElement('style');
+      styles.textContent = this.getUiStyles();
+      this.uiRoot.appendChild(styles);
+    }
+    // Pages that rebuild the body would otherwise take it with them
+    if (!this.uiHost.isConnected) {
+      document.documentElement.appendChild(this.uiHost);
+    }
+    return this.uiRoot;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  getDeepActiveElement() {
+    let element = document.activeElement;
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element;
+  }
+
+  // querySelectorAll that also searches open shadow roots, in DOM order: a
+  // shadow root's matches come right after its host
+  querySelectorAllDeep(selector, root = document) {
+    const search = (node) => {
+      const matches = Array.from(node.querySelectorAll(selector));
+      const results = [];
+      let next = 0;
+      for (const host of this.findShadowHosts(node)) {
+        while (next < matches.length &&
+            !(host.compareDocumentPosition(matches[next]) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+          results.push(matches[next++]);
+        }
+        results.push(...search(host.shadowRoot));
+      }
+      return results.concat(matches.slice(next));
+    };
+    return root.shadowRoot ? [...search(root.shadowRoot), ...search(root)] : search(root);
+  }
+
+  // Elements under node with an open shadow root, not looking inside them
+  findShadowHosts(node) {
+    const hosts = [];
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) {
+      if (walker.currentNode.shadowRoot) hosts.push(walker.currentNode);
+    }
+    return hosts;
+  }
+
+  // Site rules are user-entered, so a broken selector must not stop the fill.
+  // Unlike querySelectorAll, an element root is included when it matches.
+  querySelectorAllCustom(selector, root = document) {
+    try {
+      const results = this.querySelectorAllDeep(selector, root);
+      return root.matches?.(selector) ? [root, ...results] : results;
+    } catch (error) {
+      console.warn('Invalid selector rule:', selector);
+      return [];
+    }
+  }
+
+  // Returns the element that ends up holding the (last part of the) code
+  fillField(element, code) {
+    const splitInputs = this.findSplitInputs(element);
+    if (splitInputs) {
+      this.fillSplitInputs(splitInputs, code);
+      return splitInputs[Math.min(code.length, splitInputs.length) - 1];
+    }
+    this.pasteCodeToInput(element, code);
+    return element;
+  }
+
+  // The site's submit selector if set, otherwise a "Verify"/"Continue"
+  // style button near the field, preferring the field's own form
+  findSubmitButton(field, submitSelector = '') {
+    if (submitSelector) {
+      const custom = this.querySelectorAllCustom(submitSelector)
+        .find(button => !button.disabled && this.isVisible(button));
+      if (custom) return custom;
+    }
+    
+    const labels = /verify|continue|submit|confirm|sign ?in|log ?in|next|done|authenticate/i;
+    const isUsable = (button) => !button.disabled && this.isVisible(button);
+    const label = (button) => button.textContent || button.value || button.getAttribute('aria-label') || '';
+    
+    let scope = field.form || field.parentElement || field.getRootNode().host;
+    for (let depth = 0; scope && depth < 6; depth++) {
+      const buttons = this.querySelectorAllDeep(
+        'button, input[type="submit"], input[type="button"], [role="button"]', scope
+      ).filter(isUsable);
+      
+      const labelled = buttons.find(button => labels.test(label(button)));
+      const submit = buttons.find(button => button.type === 'submit');
+      if (labelled || submit) return labelled || submit;
+      
+      if (scope === field.form) break;
+      scope = scope.parentElement || scope.getRootNode().host;
+    }
+    return null;
+  }
+
+  submitField(field, submitSelector = '') {
+    if (!field.isConnected) return;
+    
+    const button = this.findSubmitButton(field, submitSelector);
+    if (field.form) {
+      // requestSubmit runs validation and the page's submit handlers
+      if (button && button.form === field.form && button.type === 'submit') {
+        field.form.requestSubmit(button);
+      } else if (button) {
+        button.click();
+      } else {
+        field.form.requestSubmit();
+      }
+    } else if (button) {
+      button.click();
+    }
+  }
+
+  isSingleCharInput(element) {
+    return !!element && element.tagName === 'INPUT' && element.maxLength === 1 &&
+      this.isValidInputField(element);
+  }
+
+  // Many sites render the code as one maxlength=1 box per digit. Looks for
+  // such a group around the given box, up to a few levels up the tree.
+  findSplitInputs(element) {
+    if (!this.isSingleCharInput(element)) return null;
+    
+    let container = element.parentElement || element.getRootNode().host;
+    for (let depth = 0; container && depth < 4; depth++) {
+      const inputs = this.querySelectorAllDeep('input', container)
+        .filter(input => this.isSingleCharInput(input) && this.isVisible(input));
+      if (inputs.length >= 4 && inputs.includes(element)) {
+        return inputs;
+      }
+      container = container.parentElement || container.getRootNode().host;
+    }
+    return null;
+  }
+
+  // Types one digit per box with the key and input events a user would
+  // produce, so frameworks that move focus between boxes keep up
+  fillSplitInputs(inputs, code) {
+    const digits = code.split('').slice(0, inputs.length);
+    
+    digits.forEach((digit, index) => {
+      const input = inputs[index];
+      input.focus();
+      this.dispatchKeyEvent(input, 'keydown', digit);
+      this.dispatchKeyEvent(input, 'keypress', digit);
+      this.setNativeValue(input, digit);
+      input.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        cancelable: true,
+        inputType: 'insertText',
+        data: digit
+      }));
+      this.dispatchKeyEvent(input, 'keyup', digit);
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    
+    inputs[digits.length - 1].focus();
+  }
+
+  dispatchKeyEvent(element, type, key) {
+    element.dispatchEvent(new KeyboardEvent(type, {
+      key,
+      code: `Digit${key}`,
+      keyCode: key.charCodeAt(0),
+      which: key.charCodeAt(0),
+      bubbles: true,
+      cancelable: true,
+      composed: true
+    }));
+  }
+
+  // Sets the value through the prototype setter so frameworks that track
+  // the value property (e.g. React) notice the change
+  setNativeValue(input, value) {
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    setter.call(input, value);
+  }
+
   isValidInputField(element) {
     if (!element) return false;
     
@@ -75,39 +706,45 @@ class TOTPContentScript {
     return false;
   }
 
-  findBestInputField() {
-    // Look for common TOTP input field patterns
-    const selectors = [
-      // Common TOTP field patterns
-      'input[name*="code"]',
-      'input[name*="totp"]',
-      'input[name*="otp"]',
-      'input[name*="token"]',
-      'input[name*="verify"]',
-      'input[name*="auth"]',
-      'input[placeholder*="code" i]',
-      'input[placeholder*="verification" i]',
-      'input[placeholder*="authenticator" i]',
-      'input[id*="code"]',
-      'input[id*="totp"]',
-      'input[id*="otp"]',
-      'input[id*="token"]',
-      'input[class*="code"]',
-      'input[class*="otp"]',
-      'input[class*="totp"]',
-      
-      // General input fields (as fallback)
-      'input[type="text"]',
-      'input[type="number"]',
-      'input[type="tel"]',
-      'input[type="password"]',
-      'input:not([type])'
-    ];
+  // Whether a field that matched a code pattern isn't something else,
+  // like a postcode or a promo code
+  isLikelyOtpField(element) {
+    if (element.autocomplete === 'one-time-code') return true;
+    if (/postal-code|country/.test(element.autocomplete)) return false;
+    const label = [element.name, element.id, element.getAttribute('class'), element.placeholder].join(' ');
+    return !NON_OTP_FIELD_PATTERN.test(label);
+  }
+
+  // How suitable this frame is for the code, for picking a frame to fill:
+  // 3 for a focused input, 2 for an OTP-looking field, 1 for any text field
+  probeOtpField() {
+    if (document.hasFocus() && this.isValidInputField(this.getDeepActiveElement())) {
+      return 3;
+    }
+    if (this.findFirstField(OTP_FIELD_SELECTORS)) {
+      return 2;
+    }
+    return this.findFirstField(FALLBACK_FIELD_SELECTORS) ? 1 : 0;
+  }
+
+  findBestInputField(fieldSelector = '') {
+    // A site rule comes first, then common TOTP input field patterns,
+    // then any text-like input
+    const selectors = [...OTP_FIELD_SELECTORS, ...FALLBACK_FIELD_SELECTORS];
+    if (fieldSelector) {
+      selectors.unshift(fieldSelector);
+    }
+
+    return this.findFirstField(selectors, fieldSelector);
+  }
 
+  // Fields matched by the site's own rule are taken as they are
+  findFirstField(selectors, ruleSelector = '') {
     for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
+      const elements = this.querySelectorAllCustom(selector);
       for (const element of elements) {
-        if (this.isValidInputField(element) && this.isVisible(element)) {
+        if (this.isValidInputField(element) && this.isVisible(element) &&
+            (selector === ruleSelector || this.isLikelyOtpField(element))) {
           return element;
         }
       }
@@ -183,7 +820,10 @@ class TOTPContentScript {
     }
   }
 
-  showConfirmation(secretName, code) {
+  // With onSubmit, the toast counts down and then calls it unless the
+  // user cancels (button or Escape) first. Only the user can cancel: the
+  // toast is in the UI root and untrusted events are ignored.
+  showConfirmation(secretName, code, onSubmit = null) {
     // Create and show a temporary notification
     const notification = this.createNotificationElement(
       `TOTP code pasted: ${code}`,
@@ -191,27 +831,74 @@ class TOTPContentScript {
       'success'
     );
     
-    document.body.appendChild(notification);
+    this.getUiRoot().appendChild(notification);
     
     // Animate in
     setTimeout(() => {
       notification.classList.add('totp-notification-show');
     }, 10);
     
-    // Remove after delay
-    setTimeout(() => {
+    const dismiss = () => {
       notification.classList.remove('totp-notification-show');
       setTimeout(() => {
         if (notification.parentNode) {
           notification.parentNode.removeChild(notification);
         }
       }, 300);
-    }, 3000);
+    };
+    
+    if (!onSubmit) {
+      // Remove after delay
+      setTimeout(dismiss, 3000);
+      return;
+    }
+    
+    let remaining = 3;
+    const countdown = document.createElement('div');
+    countdown.className = 'totp-notification-countdown';
+    countdown.innerHTML = `
+      <span></span>
+      <button type="button" class="totp-notification-cancel">Cancel</button>
+    `;
+    notification.querySelector('.totp-notification-content').appendChild(countdown);
+    const label = countdown.querySelector('span');
+    label.textContent = `Submitting in ${remaining}s`;
+    
+    const stop = () => {
+      clearInterval(timer);
+      document.removeEventListener('keydown', onKeydown, true);
+    };
+    const cancel = () => {
+      stop();
+      label.textContent = 'Auto-submit cancelled';
+      countdown.querySelector('.totp-notification-cancel').remove();
+      setTimeout(dismiss, 1500);
+    };
+    const onKeydown = (e) => {
+      if (e.isTrusted && e.key === 'Escape') cancel();
+    };
+    const timer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) {
+        label.textContent = `Submitting in ${remaining}s`;
+        return;
+      }
+      stop();
+      dismiss();
+      onSubmit();
+    }, 1000);
+    
+    const onCancelClick = (e) => {
+      if (e.isTrusted) cancel();
+    };
+    countdown.querySelector('.totp-notification-cancel').addEventListener('click', onCancelClick);
+    notification.querySelector('.totp-notification-close').addEventListener('click', onCancelClick);
+    document.addEventListener('keydown', onKeydown, true);
   }
 
   showNotification(message, type = 'info') {
     const notification = this.createNotificationElement(message, '', type);
-    document.body.appendChild(notification);
+    this.getUiRoot().appendChild(notification);
     
     setTimeout(() => {
       notification.classList.add('totp-notification-show');
@@ -231,20 +918,18 @@ class TOTPContentScript {
     const notification = document.createElement('div');
     notification.className = `totp-notification totp-notification-${type}`;
     
-    // Inject styles if not already present
-    this.injectStyles();
-    
     notification.innerHTML = `
       <div class="totp-notification-content">
-        <div class="totp-notification-title">${title}</div>
-        ${subtitle ? `<div class="totp-notification-subtitle">${subtitle}</div>` : ''}
+        <div class="totp-notification-title">${this.escapeHtml(title)}</div>
+        ${subtitle ? `<div class="totp-notification-subtitle">${this.escapeHtml(subtitle)}</div>` : ''}
       </div>
       <div class="totp-notification-close">×</div>
     `;
     
     // Add close button functionality
     const closeBtn = notification.querySelector('.totp-notification-close');
-    closeBtn.addEventListener('click', () => {
+    closeBtn.addEventListener('click', (e) => {
+      if (!e.isTrusted) return;
       notification.classList.remove('totp-notification-show');
       setTimeout(() => {
         if (notification.parentNode) {
@@ -265,6 +950,41 @@ class TOTPContentScript {
     const styles = document.createElement('style');
     styles.id = 'totp-extension-styles';
     styles.textContent = `
+      .totp-picker-highlight {
+        position: fixed;
+        display: none;
+        pointer-events: none;
+        border: 2px solid #3b82f6;
+        border-radius: 4px;
+        background: rgba(59, 130, 246, 0.15);
+        z-index: 10003;
+      }
+      
+      .totp-picker-banner {
+        position: fixed;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: #1f2937;
+        color: white;
+        border-radius: 6px;
+        padding: 8px 14px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        z-index: 10003;
+        pointer-events: none;
+      }
+    `;
+    
+    document.head.appendChild(styles);
+  }
+
+  getUiStyles() {
+    return `
+      :host {
+        all: initial;
+      }
+      
       .totp-notification {
         position: fixed;
         top: 20px;
@@ -332,9 +1052,142 @@ class TOTPContentScript {
         background: #f3f4f6;
         color: #374151;
       }
+      
+      .totp-notification-countdown {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-top: 8px;
+        color: #374151;
+        font-size: 12px;
+      }
+      
+      .totp-notification-cancel {
+        background: #f3f4f6;
+        border: 1px solid #e5e7eb;
+        border-radius: 4px;
+        padding: 2px 8px;
+        font: inherit;
+        color: #374151;
+        cursor: pointer;
+      }
+      
+      .totp-notification-cancel:hover {
+        background: #e5e7eb;
+      }
+      
+      .totp-inline-button {
+        position: fixed;
+        width: 20px;
+        height: 20px;
+        padding: 0;
+        margin: 0;
+        border: none;
+        border-radius: 4px;
+        background: #3b82f6;
+        color: white;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        cursor: pointer;
+        z-index: 10000;
+        opacity: 0.85;
+        box-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);
+      }
+      
+      .totp-inline-button:hover {
+        opacity: 1;
+      }
+      
+      .totp-chooser-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.3);
+        z-index: 10002;
+        display: flex;
+        align-items: flex-start;
+        justify-content: center;
+        padding-top: 15vh;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 14px;
+      }
+      
+      .totp-chooser {
+        background: white;
+        border-radius: 8px;
+        box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+        padding: 16px;
+        width: 340px;
+        max-width: calc(100vw - 32px);
+        color: #1f2937;
+        text-align: left;
+      }
+      
+      .totp-chooser-title {
+        font-weight: 600;
+        margin-bottom: 8px;
+      }
+      
+      .totp-chooser-search {
+        box-sizing: border-box;
+        width: 100%;
+        padding: 6px 10px;
+        margin: 0 0 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font: inherit;
+        color: inherit;
+        background: white;
+      }
+      
+      .totp-chooser-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        max-height: 240px;
+        overflow-y: auto;
+      }
+      
+      .totp-chooser-item {
+        padding: 8px 10px;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+      
+      .totp-chooser-item:hover {
+        background: #f3f4f6;
+      }
+      
+      .totp-chooser-selected,
+      .totp-chooser-selected:hover {
+        background: #dbeafe;
+      }
+      
+      .totp-chooser-name {
+        font-weight: 500;
+      }
+      
+      .totp-chooser-issuer,
+      .totp-chooser-empty,
+      .totp-chooser-hint {
+        color: #6b7280;
+        font-size: 12px;
+      }
+      
+      .totp-chooser-empty {
+        padding: 8px 10px;
+      }
+      
+      .totp-chooser-pin {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 10px 0 6px;
+        font-size: 12px;
+        color: #374151;
+      }
     `;
-    
-    document.head.appendChild(styles);
   }
 }
 
@@ -0,0 +1,142 @@
+// Decides which accounts belong to a page (shared by the popup and the
+// background service worker). Needs psl.js loaded first.
+
+// Matching rules stored on each secret:
+//   matching:     'exact' (default) - only the website's exact host
+//                 'domain'          - the website's registrable domain and
+//                                     all of its subdomains. Hosts without
+//                                     one (a public suffix such as
+//                                     blogspot.com, or an unknown TLD) only
+//                                     match exactly.
+//   extraDomains: more hosts, matched the same way as the website
+//   patterns:     wildcards such as "*.corp.example.com" or "login.*.example.com".
+//                 A leading "*." matches any number of subdomains; any other
+//                 "*" matches within a single label.
+class DomainMatcher {
+  static MATCHING_MODES = ['exact', 'domain'];
+
+  static normalizeHost(value) {
+    return String(value || '').trim().toLowerCase()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .replace(/[/?#].*$/, '')
+      .replace(/:\d+$/, '')
+      .replace(/\.$/, '');
+  }
+
+  static isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+  }
+
+  // The public suffix list from psl.js, split by kind of rule
+  static getSuffixRules() {
+    if (!this.suffixRules) {
+      this.suffixRules = { plain: new Set(), wildcard: new Set(), exception: new Set() };
+      for (const rule of PUBLIC_SUFFIX_LIST.split('\n')) {
+        if (rule.startsWith('!')) {
+          this.suffixRules.exception.add(rule.slice(1));
+        } else if (rule.startsWith('*.')) {
+          this.suffixRules.wildcard.add(rule.slice(2));
+        } else if (rule) {
+          this.suffixRules.plain.add(rule);
+        }
+      }
+    }
+    return this.suffixRules;
+  }
+
+  // The longest public suffix that ends host, e.g. "co.at" for
+  // "bank.co.at", or '' when the list has no rule for its TLD
+  static getPublicSuffix(host) {
+    const { plain, wildcard, exception } = this.getSuffixRules();
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const suffix = labels.slice(i).join('.');
+      if (exception.has(suffix)) return labels.slice(i + 1).join('.');
+      if (plain.has(suffix) || wildcard.has(labels.slice(i + 1).join('.'))) return suffix;
+    }
+    return '';
+  }
+
+  // The public suffix plus one label: "example.co.uk" for
+  // "login.example.co.uk". '' when there is none, so that other owners'
+  // sites are never treated as the same domain.
+  static getRegistrableDomain(host) {
+    host = this.normalizeHost(host);
+    if (!host || this.isIpAddress(host)) return host;
+
+    const suffix = this.getPublicSuffix(host);
+    if (!suffix || suffix === host) return '';
+    return host.split('.').slice(-(suffix.split('.').length + 1)).join('.');
+  }
+
+  // Cleans up rules from the edit form or an import
+  static normalizeRules(rules = {}) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/))
+      .map(entry => this.normalizeHost(entry))
+      .filter(Boolean);
+
+    return {
+      matching: this.MATCHING_MODES.includes(rules.matching) ? rules.matching : 'exact',
+      extraDomains: [...new Set(list(rules.extraDomains))],
+      patterns: [...new Set(list(rules.patterns))]
+    };
+  }
+
+  static hostMatches(host, domain, matching) {
+    domain = this.normalizeHost(domain);
+    if (!domain) return false;
+    if (host === domain) return true;
+    if (matching !== 'domain') return false;
+
+    const registrable = this.getRegistrableDomain(domain);
+    if (!registrable) return false;
+    return host === registrable || host.endsWith(`.${registrable}`);
+  }
+
+  static patternMatches(host, pattern) {
+    let source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*');
+    if (pattern.startsWith('*.')) {
+      source = `(?:[^.]+\\.)+${source.slice('[^.]*\\.'.length)}`;
+    }
+    return new RegExp(`^${source}$`).test(host);
+  }
+
+  // For user-maintained host lists: an entry covers the host itself and its
+  // subdomains, or is a wildcard pattern
+  static isHostInList(host, list = []) {
+    host = this.normalizeHost(host);
+    return list.some(entry => {
+      entry = this.normalizeHost(entry);
+      if (!entry) return false;
+      if (entry.includes('*')) return this.patternMatches(host, entry);
+      return host === entry || host.endsWith(`.${entry}`);
+    });
+  }
+
+  // 0 when the secret doesn't apply to host; otherwise higher is a closer match
+  static score(secret, host) {
+    host = this.normalizeHost(host);
+    if (!host) return 0;
+
+    const matching = secret.matching || 'exact';
+    if (this.normalizeHost(secret.website) === host) return 3;
+    if ((secret.extraDomains || []).some(domain => this.normalizeHost(domain) === host)) return 2;
+    if (this.hostMatches(host, secret.website, matching)) return 1;
+    if ((secret.extraDomains || []).some(domain => this.hostMatches(host, domain, matching))) return 1;
+    if ((secret.patterns || []).some(pattern => this.patternMatches(host, pattern))) return 1;
+    return 0;
+  }
+
+  static matches(secret, host) {
+    return this.score(secret, host) > 0;
+  }
+
+  // Matching secrets, closest matches first
+  static filter(secrets, host) {
+    return secrets
+      .map(secret => ({ secret, score: this.score(secret, host) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.secret);
+  }
+}
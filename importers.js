@@ -0,0 +1,306 @@
+// Parsers for backup files from this extension and other authenticators.
+// Nothing is written to storage here; callers preview the result first.
+
+class ImportParser {
+  // Returns { format, formatName, accounts, skipped }
+  static parse(text) {
+    const context = { accounts: [], skipped: [] };
+
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Not JSON; CSV formats are checked below
+    }
+
+    let format;
+    if (data && Array.isArray(data.secrets)) {
+      format = this.parseNative(data, context);
+    } else if (data && data.db && data.header) {
+      format = this.parseAegis(data, context);
+    } else if (data && Array.isArray(data.services)) {
+      format = this.parseTwoFAS(data, context);
+    } else if (Array.isArray(data) && data.every(entry => entry && 'secret' in entry && 'type' in entry)) {
+      format = this.parseAndOTP(data, context);
+    } else if (data && Array.isArray(data.items)) {
+      format = this.parseBitwarden(data, context);
+    } else if (!data && this.isKeePassXCCsv(text)) {
+      format = this.parseKeePassXC(text, context);
+    } else {
+      throw new Error('Unrecognized file format');
+    }
+
+    return {
+      ...format,
+      accounts: context.accounts,
+      skipped: context.skipped
+    };
+  }
+
+  // Validates and fills defaults; records a skipped entry instead of throwing
+  static addAccount(context, raw) {
+    const entry = { name: raw.name || raw.issuer || '', issuer: raw.issuer || '' };
+    const type = String(raw.type || 'totp').toLowerCase();
+    const secret = String(raw.secret || '').replace(/[\s=]/g, '').toUpperCase();
+    const algorithm = TOTPGenerator.normalizeAlgorithm(raw.algorithm);
+
+    let reason = null;
+    if (type !== 'totp' && type !== 'hotp') {
+      reason = `Unsupported OTP type: ${raw.type}`;
+    } else if (!secret || !TOTPGenerator.validateSecret(secret)) {
+      reason = 'Missing or invalid secret';
+    } else if (!algorithm) {
+      reason = `${raw.algorithm} algorithm is not supported`;
+    }
+
+    // Accounts without a website are kept; the preview asks for one. The
+    // open tab says nothing about which site an exported account is for.
+    const website = raw.website || OtpAuthUri.guessWebsite(entry.issuer);
+    if (!reason && !website && !entry.name) {
+      reason = 'No name, website or issuer';
+    }
+
+    if (reason) {
+      context.skipped.push({ ...entry, website, reason });
+      return;
+    }
+
+    context.accounts.push({
+      ...entry,
+      name: entry.name || website,
+      website,
+      secret,
+      type,
+      digits: parseInt(raw.digits) || 6,
+      period: parseInt(raw.period) || 30,
+      counter: parseInt(raw.counter) || 0,
+      algorithm,
+      tags: StorageManager.normalizeTags(raw.tags),
+      favorite: !!raw.favorite,
+      ...DomainMatcher.normalizeRules(raw)
+    });
+  }
+
+  // Some exports embed a full otpauth:// URI instead of separate fields
+  static addFromUri(context, uri, overrides = {}) {
+    try {
+      const parsed = OtpAuthUri.parse(uri);
+      this.addAccount(context, {
+        ...parsed,
+        ...overrides,
+        name: overrides.name || parsed.name,
+        issuer: parsed.issuer || overrides.issuer
+      });
+    } catch (error) {
+      context.skipped.push({
+        name: overrides.name || '',
+        issuer: overrides.issuer || '',
+        website: overrides.website || '',
+        reason: error.message
+      });
+    }
+  }
+
+  static hostnameFromUrl(value) {
+    if (!value) return '';
+    try {
+      return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`).hostname;
+    } catch {
+      return '';
+    }
+  }
+
+  // This extension's own export
+  static parseNative(data, context) {
+    for (const secret of data.secrets) {
+      if (!secret.website || !secret.name || !secret.secret) {
+        context.skipped.push({ name: secret.name || '', issuer: secret.issuer || '', reason: 'Missing website, name or secret' });
+        continue;
+      }
+      this.addAccount(context, secret);
+    }
+    return {
+      format: 'native',
+      formatName: 'TOTP Code Generator backup',
+      domainSettings: StorageManager.pickPortableDomainSettings(data.domainSettings)
+    };
+  }
+
+  static parseAegis(data, context) {
+    if (typeof data.db === 'string' || (data.header && data.header.slots)) {
+      throw new Error('Encrypted Aegis vaults are not supported. Export the vault from Aegis without encryption.');
+    }
+
+    // Groups are referenced by uuid; older vaults store a single group name
+    const groupNames = new Map((data.db.groups || []).map(group => [group.uuid, group.name]));
+
+    for (const entry of data.db.entries || []) {
+      const info = entry.info || {};
+      this.addAccount(context, {
+        tags: [...(entry.groups || []).map(uuid => groupNames.get(uuid)), entry.group],
+        favorite: entry.favorite,
+        type: entry.type,
+        name: entry.name,
+        issuer: entry.issuer,
+        secret: info.secret,
+        digits: info.digits,
+        period: info.period,
+        counter: info.counter,
+        algorithm: info.algo
+      });
+    }
+    return { format: 'aegis', formatName: 'Aegis export' };
+  }
+
+  static parseTwoFAS(data, context) {
+    if (data.servicesEncrypted) {
+      throw new Error('Encrypted 2FAS backups are not supported. Export the backup from 2FAS without a password.');
+    }
+
+    const groupNames = new Map((data.groups || []).map(group => [group.id, group.name]));
+
+    for (const service of data.services) {
+      const otp = service.otp || {};
+      this.addAccount(context, {
+        tags: [groupNames.get(service.groupId)],
+        type: otp.tokenType,
+        name: otp.account || otp.label || service.name,
+        issuer: otp.issuer || service.name,
+        secret: service.secret,
+        digits: otp.digits,
+        period: otp.period,
+        counter: otp.counter,
+        algorithm: otp.algorithm
+      });
+    }
+    return { format: '2fas', formatName: '2FAS backup' };
+  }
+
+  static parseAndOTP(data, context) {
+    for (const entry of data) {
+      this.addAccount(context, {
+        type: entry.type,
+        name: entry.label,
+        issuer: entry.issuer,
+        secret: entry.secret,
+        digits: entry.digits,
+        period: entry.period,
+        counter: entry.counter,
+        algorithm: entry.algorithm
+      });
+    }
+    return { format: 'andotp', formatName: 'andOTP backup' };
+  }
+
+  static parseBitwarden(data, context) {
+    if (data.encrypted) {
+      throw new Error('Encrypted Bitwarden exports are not supported. Export the vault as unencrypted JSON.');
+    }
+
+    const folderNames = new Map((data.folders || []).map(folder => [folder.id, folder.name]));
+
+    for (const item of data.items) {
+      const login = item.login || {};
+      if (!login.totp) continue; // Only logins with an authenticator key
+
+      const overrides = {
+        name: login.username || item.name,
+        issuer: item.name,
+        website: this.hostnameFromUrl(login.uris && login.uris[0] && login.uris[0].uri),
+        tags: [folderNames.get(item.folderId)],
+        favorite: item.favorite
+      };
+
+      if (OtpAuthUri.isOtpAuthUri(login.totp)) {
+        this.addFromUri(context, login.totp, overrides);
+      } else if (/^steam:\/\//i.test(login.totp)) {
+        context.skipped.push({ ...overrides, reason: 'Steam codes are not supported' });
+      } else {
+        this.addAccount(context, { ...overrides, secret: login.totp });
+      }
+    }
+    return { format: 'bitwarden', formatName: 'Bitwarden export' };
+  }
+
+  static isKeePassXCCsv(text) {
+    const [header] = this.parseCsv(text.split(/\r?\n/, 1)[0] || '');
+    return !!header && header.includes('Title') && header.includes('TOTP');
+  }
+
+  static parseKeePassXC(text, context) {
+    const [header, ...rows] = this.parseCsv(text);
+    const column = name => header.indexOf(name);
+
+    for (const row of rows) {
+      const value = name => (column(name) >= 0 ? (row[column(name)] || '').trim() : '');
+      const totp = value('TOTP');
+      if (!totp) continue;
+
+      // Groups are paths such as "Root/Work"; the innermost one becomes a tag
+      const group = value('Group').split('/').pop();
+      const overrides = {
+        name: value('Username') || value('Title'),
+        issuer: value('Title'),
+        website: this.hostnameFromUrl(value('URL')),
+        tags: group && group !== 'Root' ? [group] : []
+      };
+
+      if (OtpAuthUri.isOtpAuthUri(totp)) {
+        this.addFromUri(context, totp, overrides);
+      } else {
+        // Legacy KeePassXC settings: key=...&step=30&size=6
+        const params = new URLSearchParams(totp);
+        this.addAccount(context, {
+          ...overrides,
+          secret: params.get('key') || totp,
+          period: params.get('step'),
+          digits: params.get('size'),
+          algorithm: params.get('otpHashMode')
+        });
+      }
+    }
+    return { format: 'keepassxc', formatName: 'KeePassXC CSV export' };
+  }
+
+  // RFC 4180 CSV: quoted fields, doubled quotes and embedded newlines
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value !== ''));
+  }
+}
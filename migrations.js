@@ -0,0 +1,68 @@
+// Upgrades what older versions left in chrome.storage.local to the layout
+// described in storage.js. Run by the background service worker when the
+// extension is installed or updated.
+
+const SCHEMA_VERSION = 2;
+
+class StorageMigrations {
+  // MIGRATIONS[n] turns everything stored at version n - 1 into version n.
+  // It only computes the changes: { set: { key: value }, remove: [key] }.
+  static MIGRATIONS = {
+    // Version 1 kept each website's secrets as an array under its hostname
+    2: data => {
+      const store = {
+        byId: { ...data.accounts?.byId },
+        byWebsite: { ...data.accounts?.byWebsite }
+      };
+      const remove = [];
+
+      // Accounts already in the store (from an interrupted run) are not
+      // copied again: the same id with the same contents. Accounts with the
+      // same contents but their own ids are all kept, as settings and usage
+      // may point at any of them. One without an id, or whose id another
+      // account took, was given a new id and is recognised by its contents.
+      const contents = account => JSON.stringify(Object.entries(account).filter(([field]) => field !== 'id').sort());
+      const migrated = new Set(Object.values(store.byId).map(contents));
+
+      for (const [key, value] of Object.entries(data)) {
+        if (!Array.isArray(value)) continue;
+
+        for (const secret of value) {
+          const account = { ...secret, website: secret.website || key };
+          const taken = account.id ? store.byId[account.id] : null;
+          if (taken && contents(taken) === contents(account)) continue;
+
+          if (!account.id || taken) {
+            if (migrated.has(contents(account))) continue;
+            account.id = StorageManager.generateId();
+          }
+          StorageManager.putAccount(store, account);
+          migrated.add(contents(account));
+        }
+        remove.push(key);
+      }
+
+      return { set: { accounts: store }, remove };
+    }
+  };
+
+  // The version is only bumped once a step's old keys are gone. Steps are
+  // safe to repeat, so an interrupted run is finished by the next one.
+  static async run() {
+    const data = await chrome.storage.local.get();
+    let version = data.schemaVersion || 1;
+
+    while (version < SCHEMA_VERSION) {
+      version++;
+      const { set = {}, remove = [] } = this.MIGRATIONS[version](data);
+      await chrome.storage.local.set(set);
+      if (remove.length > 0) {
+        await chrome.storage.local.remove(remove);
+      }
+      await chrome.storage.local.set({ schemaVersion: version });
+
+      Object.assign(data, set, { schemaVersion: version });
+      remove.forEach(key => delete data[key]);
+    }
+  }
+}
@@ -0,0 +1,16 @@
+// Offscreen document for the background service worker, which has no
+// clipboard access of its own
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+
+  if (request.action === 'copyToClipboard') {
+    // navigator.clipboard needs a focused document, so use a textarea
+    const textarea = document.getElementById('clipboard');
+    textarea.value = request.text;
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.value = '';
+    sendResponse({ success: copied });
+  }
+});
@@ -0,0 +1,651 @@
+// Full-page account management: a sortable table with inline editing,
+// bulk changes, duplicate detection, sync, import and export
+class OptionsController {
+  constructor() {
+    this.secrets = [];
+    this.usage = {};
+    this.selected = new Set();
+    this.duplicateGroups = [];
+    this.sortKey = 'name';
+    this.sortDirection = 1;
+    this.searchQuery = '';
+    this.pendingEncryptedImport = null;
+
+    this.initializeElements();
+    this.bindEvents();
+    this.initialize();
+  }
+
+  initializeElements() {
+    this.summary = document.getElementById('summary');
+    this.message = document.getElementById('message');
+
+    // Lock screen
+    this.lockPanel = document.getElementById('lockPanel');
+    this.unlockForm = document.getElementById('unlockForm');
+    this.unlockPassword = document.getElementById('unlockPassword');
+    this.unlockBtn = document.getElementById('unlockBtn');
+    this.unlockError = document.getElementById('unlockError');
+
+    // Accounts table
+    this.accountsPanel = document.getElementById('accountsPanel');
+    this.searchInput = document.getElementById('searchInput');
+    this.selectDuplicatesBtn = document.getElementById('selectDuplicatesBtn');
+    this.selectAll = document.getElementById('selectAll');
+    this.accountRows = document.getElementById('accountRows');
+    this.emptyState = document.getElementById('emptyState');
+
+    // Bulk actions
+    this.selectionCount = document.getElementById('selectionCount');
+    this.bulkTags = document.getElementById('bulkTags');
+    this.bulkAddTagsBtn = document.getElementById('bulkAddTagsBtn');
+    this.bulkRemoveTagsBtn = document.getElementById('bulkRemoveTagsBtn');
+    this.bulkWebsiteFrom = document.getElementById('bulkWebsiteFrom');
+    this.bulkWebsiteTo = document.getElementById('bulkWebsiteTo');
+    this.bulkWebsiteBtn = document.getElementById('bulkWebsiteBtn');
+    this.bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
+
+    // Export
+    this.exportPlainBtn = document.getElementById('exportPlainBtn');
+    this.exportToggleBtn = document.getElementById('exportToggleBtn');
+    this.exportForm = document.getElementById('exportForm');
+    this.exportPassword = document.getElementById('exportPassword');
+    this.exportConfirmPassword = document.getElementById('exportConfirmPassword');
+    this.exportEncryptedBtn = document.getElementById('exportEncryptedBtn');
+
+    // Sync
+    this.syncToggleBtn = document.getElementById('syncToggleBtn');
+    this.syncPanel = document.getElementById('syncPanel');
+    this.syncForm = document.getElementById('syncForm');
+    this.syncTarget = document.getElementById('syncTarget');
+    this.syncFolderRow = document.getElementById('syncFolderRow');
+    this.syncFolderName = document.getElementById('syncFolderName');
+    this.syncChooseFolderBtn = document.getElementById('syncChooseFolderBtn');
+    this.syncFileRow = document.getElementById('syncFileRow');
+    this.syncFile = document.getElementById('syncFile');
+    this.syncPassword = document.getElementById('syncPassword');
+    this.syncConfirmPassword = document.getElementById('syncConfirmPassword');
+    this.syncNowBtn = document.getElementById('syncNowBtn');
+    this.syncStatus = document.getElementById('syncStatus');
+    this.syncConflicts = document.getElementById('syncConflicts');
+
+    // Import
+    this.importBtn = document.getElementById('importBtn');
+    this.importFile = document.getElementById('importFile');
+    this.importPanel = document.getElementById('importPanel');
+    this.importCloseBtn = document.getElementById('importCloseBtn');
+    this.importSummary = document.getElementById('importSummary');
+    this.importPasswordForm = document.getElementById('importPasswordForm');
+    this.importPassword = document.getElementById('importPassword');
+    this.importPasswordError = document.getElementById('importPasswordError');
+    this.importDecryptBtn = document.getElementById('importDecryptBtn');
+    this.importList = document.getElementById('importList');
+    this.importConfirmBtn = document.getElementById('importConfirmBtn');
+    this.importPreview = new ImportPreview({
+      list: this.importList,
+      summary: this.importSummary,
+      confirmButton: this.importConfirmBtn
+    });
+  }
+
+  bindEvents() {
+    this.unlockForm.addEventListener('submit', (e) => this.handleUnlock(e));
+
+    // Table
+    this.searchInput.addEventListener('input', () => {
+      this.searchQuery = this.searchInput.value;
+      this.render();
+    });
+    document.querySelectorAll('.sort-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleSort(btn.dataset.sort));
+    });
+    this.selectAll.addEventListener('change', () => this.handleSelectAll());
+    this.selectDuplicatesBtn.addEventListener('click', () => this.selectDuplicates());
+    this.accountRows.addEventListener('change', (e) => this.handleRowChange(e));
+    this.accountRows.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('inline-edit')) e.target.blur();
+    });
+    this.accountRows.addEventListener('click', (e) => {
+      const button = e.target.closest('.delete-secret');
+      if (button) this.deleteSecrets([button.dataset.id]);
+    });
+
+    // Bulk actions
+    this.bulkAddTagsBtn.addEventListener('click', () => this.handleBulkTags('add'));
+    this.bulkRemoveTagsBtn.addEventListener('click', () => this.handleBulkTags('remove'));
+    this.bulkWebsiteBtn.addEventListener('click', () => this.handleBulkWebsite());
+    this.bulkDeleteBtn.addEventListener('click', () => this.deleteSecrets([...this.selected]));
+
+    // Export
+    this.exportPlainBtn.addEventListener('click', () => this.handleExport());
+    this.exportToggleBtn.addEventListener('click', () => {
+      this.exportForm.classList.toggle('hidden');
+      this.exportPassword.focus();
+    });
+    this.exportForm.addEventListener('submit', (e) => this.handleEncryptedExport(e));
+
+    // Sync
+    this.syncToggleBtn.addEventListener('click', () => this.toggleSyncPanel());
+    this.syncTarget.addEventListener('change', () => this.handleSyncTargetChange());
+    this.syncChooseFolderBtn.addEventListener('click', () => this.chooseSyncFolder());
+    this.syncForm.addEventListener('submit', (e) => this.handleSync(e));
+
+    // Import
+    this.importBtn.addEventListener('click', () => this.importFile.click());
+    this.importFile.addEventListener('change', (e) => this.handleImport(e));
+    this.importCloseBtn.addEventListener('click', () => this.closeImport());
+    this.importPasswordForm.addEventListener('submit', (e) => this.handleDecryptImport(e));
+    this.importConfirmBtn.addEventListener('click', () => this.handleConfirmImport());
+  }
+
+  async initialize() {
+    if (await Vault.isLocked()) {
+      this.lockPanel.classList.remove('hidden');
+      this.unlockPassword.focus();
+      return;
+    }
+    await this.loadSecrets();
+  }
+
+  async handleUnlock(e) {
+    e.preventDefault();
+    this.unlockError.classList.add('hidden');
+    this.unlockBtn.disabled = true;
+
+    try {
+      await Vault.unlock(this.unlockPassword.value);
+      this.unlockPassword.value = '';
+      this.lockPanel.classList.add('hidden');
+      await this.loadSecrets();
+    } catch (error) {
+      this.unlockError.textContent = error.message;
+      this.unlockError.classList.remove('hidden');
+      this.unlockPassword.select();
+    } finally {
+      this.unlockBtn.disabled = false;
+    }
+  }
+
+  async loadSecrets() {
+    try {
+      this.secrets = await StorageManager.getAllSecrets();
+      this.usage = await StorageManager.getUsage();
+      this.duplicateGroups = StorageManager.findDuplicates(this.secrets);
+
+      // Forget selections of accounts that are gone
+      const ids = new Set(this.secrets.map(s => s.id));
+      this.selected = new Set([...this.selected].filter(id => ids.has(id)));
+
+      this.accountsPanel.classList.remove('hidden');
+      this.render();
+    } catch (error) {
+      console.error('Error loading secrets:', error);
+      this.showMessage('Failed to load secrets: ' + error.message, true);
+    }
+  }
+
+  getVisibleSecrets() {
+    const value = secret => {
+      if (this.sortKey === 'lastUsed') return this.usage[secret.id] || 0;
+      if (this.sortKey === 'tags') return (secret.tags || []).join(', ').toLowerCase();
+      if (this.sortKey === 'type') return secret.type || 'totp';
+      return String(secret[this.sortKey] || '').toLowerCase();
+    };
+
+    return StorageManager.searchSecrets(this.secrets, this.searchQuery).sort((a, b) => {
+      const [x, y] = [value(a), value(b)];
+      const order = typeof x === 'number' ? x - y : x.localeCompare(y);
+      return order * this.sortDirection || a.name.localeCompare(b.name);
+    });
+  }
+
+  render() {
+    const secrets = this.getVisibleSecrets();
+    const duplicateIds = new Set(this.duplicateGroups.flat().map(s => s.id));
+
+    const count = this.secrets.length;
+    this.summary.textContent = `${count} account${count !== 1 ? 's' : ''}` +
+      (this.duplicateGroups.length ? `, ${duplicateIds.size} in ${this.duplicateGroups.length} duplicate group${this.duplicateGroups.length !== 1 ? 's' : ''}` : '');
+    this.selectDuplicatesBtn.classList.toggle('hidden', this.duplicateGroups.length === 0);
+
+    document.querySelectorAll('.sort-btn').forEach(btn => {
+      const arrow = btn.dataset.sort === this.sortKey ? (this.sortDirection > 0 ? ' ▴' : ' ▾') : '';
+      btn.textContent = btn.textContent.replace(/ [▴▾]$/, '') + arrow;
+    });
+
+    // Saving one inline edit re-renders the table while the user may already
+    // be typing in the next field; that field keeps its focus, text and caret
+    const active = document.activeElement;
+    const editing = active?.classList.contains('inline-edit') && this.accountRows.contains(active)
+      ? { ...active.dataset, value: active.value, start: active.selectionStart, end: active.selectionEnd }
+      : null;
+
+    this.accountRows.innerHTML = secrets.map(secret => this.renderRow(secret, duplicateIds.has(secret.id))).join('');
+
+    const input = editing &&
+      this.accountRows.querySelector(`.inline-edit[data-id="${editing.id}"][data-field="${editing.field}"]`);
+    if (input) {
+      // Focused first, so leaving the field still counts as a change
+      input.focus();
+      input.value = editing.value;
+      input.setSelectionRange(editing.start, editing.end);
+    }
+    this.emptyState.textContent = this.secrets.length ? 'No accounts match your search' : 'No accounts';
+    this.emptyState.classList.toggle('hidden', secrets.length > 0);
+
+    this.selectAll.checked = secrets.length > 0 && secrets.every(s => this.selected.has(s.id));
+    this.updateSelection();
+  }
+
+  renderRow(secret, duplicate) {
+    const lastUsed = this.usage[secret.id] ? new Date(this.usage[secret.id]).toLocaleDateString() : '';
+    const input = (field, value, placeholder = '') => `
+      <input type="text" class="inline-edit w-full px-1 py-1 rounded" data-id="${secret.id}" data-field="${field}"
+        value="${PageUtils.escapeHtml(value)}" placeholder="${placeholder}">
+    `;
+
+    return `
+      <tr class="border-t border-gray-100 ${this.selected.has(secret.id) ? 'bg-blue-50' : ''}">
+        <td class="p-2"><input type="checkbox" class="row-select" data-id="${secret.id}" ${this.selected.has(secret.id) ? 'checked' : ''}></td>
+        <td class="p-2">
+          ${input('name', secret.name)}
+          ${duplicate ? '<span class="text-xs text-yellow-700" title="Another account has the same secret key">Duplicate</span>' : ''}
+        </td>
+        <td class="p-2">${input('issuer', secret.issuer || '')}</td>
+        <td class="p-2">${input('website', secret.website)}</td>
+        <td class="p-2">${input('tags', (secret.tags || []).join(', '), 'No tags')}</td>
+        <td class="p-2 text-gray-500">${secret.type === 'hotp' ? 'HOTP' : 'TOTP'}</td>
+        <td class="p-2 text-gray-500">${lastUsed}</td>
+        <td class="p-2">
+          <button class="delete-secret text-gray-400 hover:text-red-600" data-id="${secret.id}" title="Delete">
+            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </td>
+      </tr>
+    `;
+  }
+
+  toggleSort(key) {
+    this.sortDirection = this.sortKey === key ? -this.sortDirection : 1;
+    this.sortKey = key;
+    this.render();
+  }
+
+  handleRowChange(e) {
+    if (e.target.classList.contains('row-select')) {
+      if (e.target.checked) {
+        this.selected.add(e.target.dataset.id);
+      } else {
+        this.selected.delete(e.target.dataset.id);
+      }
+      e.target.closest('tr').classList.toggle('bg-blue-50', e.target.checked);
+      this.updateSelection();
+    } else if (e.target.classList.contains('inline-edit')) {
+      this.handleInlineEdit(e.target);
+    }
+  }
+
+  handleSelectAll() {
+    for (const secret of this.getVisibleSecrets()) {
+      if (this.selectAll.checked) {
+        this.selected.add(secret.id);
+      } else {
+        this.selected.delete(secret.id);
+      }
+    }
+    this.render();
+  }
+
+  // Keeps the oldest account of each duplicate group and selects the rest
+  selectDuplicates() {
+    for (const group of this.duplicateGroups) {
+      const [, ...newer] = [...group].sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+      newer.forEach(secret => this.selected.add(secret.id));
+    }
+    this.render();
+  }
+
+  updateSelection() {
+    const count = this.selected.size;
+    this.selectionCount.textContent = `${count} selected`;
+    document.querySelectorAll('.bulk-action').forEach(btn => {
+      btn.disabled = count === 0;
+      btn.classList.toggle('opacity-50', count === 0);
+    });
+  }
+
+  async handleInlineEdit(input) {
+    const secret = this.secrets.find(s => s.id === input.dataset.id);
+    if (!secret) return;
+
+    const field = input.dataset.field;
+    let value = input.value.trim();
+    if (field === 'website') value = DomainMatcher.normalizeHost(value);
+    if (field === 'tags') value = StorageManager.normalizeTags(value);
+
+    if ((field === 'name' || field === 'website') && !value) {
+      this.showMessage(`The ${field} cannot be empty`, true);
+      input.value = secret[field];
+      return;
+    }
+
+    await this.saveSecrets([{ ...secret, [field]: value }], 'Saved');
+  }
+
+  async handleBulkTags(mode) {
+    const tags = StorageManager.normalizeTags(this.bulkTags.value);
+    if (tags.length === 0) {
+      this.showMessage('Enter the tags to add or remove', true);
+      return;
+    }
+
+    const lowerTags = tags.map(tag => tag.toLowerCase());
+    const updated = this.getSelectedSecrets().map(secret => ({
+      ...secret,
+      tags: mode === 'add'
+        ? StorageManager.normalizeTags([...(secret.tags || []), ...tags])
+        : (secret.tags || []).filter(tag => !lowerTags.includes(tag.toLowerCase()))
+    }));
+
+    if (await this.saveSecrets(updated, `Updated the tags of ${updated.length} account${updated.length !== 1 ? 's' : ''}`)) {
+      this.bulkTags.value = '';
+    }
+  }
+
+  // With a website to replace, only accounts on that host or its subdomains
+  // change (login.old.com becomes login.new.com); otherwise all selected do
+  async handleBulkWebsite() {
+    const from = DomainMatcher.normalizeHost(this.bulkWebsiteFrom.value);
+    const to = DomainMatcher.normalizeHost(this.bulkWebsiteTo.value);
+    if (!to) {
+      this.showMessage('Enter the new website', true);
+      return;
+    }
+
+    const updated = [];
+    for (const secret of this.getSelectedSecrets()) {
+      if (!from) {
+        updated.push({ ...secret, website: to });
+      } else if (secret.website === from || secret.website.endsWith(`.${from}`)) {
+        updated.push({ ...secret, website: secret.website.slice(0, -from.length) + to });
+      }
+    }
+
+    if (updated.length === 0) {
+      this.showMessage(`None of the selected accounts are on ${from}`, true);
+      return;
+    }
+
+    if (await this.saveSecrets(updated, `Moved ${updated.length} account${updated.length !== 1 ? 's' : ''} to the new website`)) {
+      this.bulkWebsiteFrom.value = '';
+      this.bulkWebsiteTo.value = '';
+    }
+  }
+
+  async saveSecrets(secrets, successMessage) {
+    try {
+      for (const secret of secrets) {
+        await StorageManager.saveSecret(secret);
+      }
+      this.showMessage(successMessage);
+      await this.loadSecrets();
+      return true;
+    } catch (error) {
+      console.error('Error saving secrets:', error);
+      this.showMessage('Failed to save: ' + error.message, true);
+      await this.loadSecrets();
+      return false;
+    }
+  }
+
+  // Deleted accounts go to the trash, so there is an undo instead of a confirm
+  async deleteSecrets(ids) {
+    if (ids.length === 0) return;
+
+    try {
+      await StorageManager.deleteSecrets(ids);
+      ids.forEach(id => this.selected.delete(id));
+      this.showMessage(`Moved ${ids.length} account${ids.length !== 1 ? 's' : ''} to the trash`, false,
+        () => this.restoreSecrets(ids));
+      await this.loadSecrets();
+    } catch (error) {
+      console.error('Error deleting secrets:', error);
+      this.showMessage('Failed to delete secrets', true);
+    }
+  }
+
+  async restoreSecrets(ids) {
+    try {
+      await StorageManager.restoreSecrets(ids);
+      this.showMessage(`Restored ${ids.length} account${ids.length !== 1 ? 's' : ''}`);
+      await this.loadSecrets();
+    } catch (error) {
+      console.error('Error restoring secrets:', error);
+      this.showMessage('Failed to restore secrets', true);
+    }
+  }
+
+  getSelectedSecrets() {
+    return this.secrets.filter(s => this.selected.has(s.id));
+  }
+
+  async toggleSyncPanel() {
+    if (!this.syncPanel.classList.toggle('hidden')) {
+      const state = await VaultSync.getState();
+      this.syncTarget.value = state.target;
+      this.syncFolderName.textContent = state.folderName || 'none chosen';
+      this.syncStatus.textContent = state.lastSyncedAt
+        ? `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}`
+        : 'Not synced yet';
+      this.updateSyncTargetFields();
+      // The first sync creates the file, with the password typed now
+      this.showSyncConfirmPassword(!state.lastSyncedAt);
+      this.syncPassword.focus();
+    }
+  }
+
+  showSyncConfirmPassword(show) {
+    this.syncConfirmPassword.classList.toggle('hidden', !show);
+    this.syncConfirmPassword.required = show;
+    if (!show) this.syncConfirmPassword.value = '';
+  }
+
+  async handleSyncTargetChange() {
+    this.updateSyncTargetFields();
+    await VaultSync.saveState({ target: this.syncTarget.value });
+  }
+
+  updateSyncTargetFields() {
+    this.syncFolderRow.classList.toggle('hidden', this.syncTarget.value !== 'folder');
+    this.syncFileRow.classList.toggle('hidden', this.syncTarget.value !== 'file');
+  }
+
+  async chooseSyncFolder() {
+    try {
+      const folder = await window.showDirectoryPicker({ mode: 'readwrite' });
+      await VaultSync.saveFolder(folder);
+      this.syncFolderName.textContent = folder.name;
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error choosing sync folder:', error);
+      this.showMessage('Failed to use this folder: ' + error.message, true);
+    }
+  }
+
+  async getSyncTarget() {
+    if (this.syncTarget.value === 'folder') {
+      const folder = await VaultSync.getFolder();
+      if (!folder) throw new Error('Choose a sync folder first');
+      return VaultSync.folderTarget(folder);
+    }
+    if (this.syncTarget.value === 'file') {
+      const file = this.syncFile.files[0];
+      return {
+        read: async () => (file ? file.text() : null),
+        write: async text => PageUtils.downloadFile(text, VaultSync.FILE_NAME)
+      };
+    }
+    return VaultSync.chromeSyncTarget();
+  }
+
+  async handleSync(e) {
+    e.preventDefault();
+    this.syncNowBtn.disabled = true;
+    this.syncConflicts.innerHTML = '';
+
+    try {
+      const confirming = !this.syncConfirmPassword.classList.contains('hidden');
+      const { added, updated, removed, conflicts } = await VaultSync.run(
+        this.syncPassword.value,
+        await this.getSyncTarget(),
+        confirming ? this.syncConfirmPassword.value : null
+      );
+      this.showSyncConfirmPassword(false);
+      this.syncStatus.textContent =
+        `Synced: ${added.length} added, ${updated.length} updated, ${removed.length} moved to the trash.`;
+      this.syncConflicts.innerHTML = conflicts.map(conflict => `<li>${PageUtils.escapeHtml(conflict)}</li>`).join('');
+      this.syncFile.value = '';
+      await this.loadSecrets();
+    } catch (error) {
+      console.error('Error syncing:', error);
+      this.syncStatus.textContent = 'Sync failed: ' + error.message;
+      if (error.name === 'NoSyncFileError') {
+        this.showSyncConfirmPassword(true);
+        this.syncConfirmPassword.focus();
+      }
+    } finally {
+      this.syncNowBtn.disabled = false;
+    }
+  }
+
+  async handleExport() {
+    try {
+      PageUtils.downloadBackup(await StorageManager.exportSecrets());
+    } catch (error) {
+      console.error('Error exporting secrets:', error);
+      this.showMessage('Failed to export secrets', true);
+    }
+  }
+
+  async handleEncryptedExport(e) {
+    e.preventDefault();
+
+    this.exportEncryptedBtn.disabled = true;
+    try {
+      await PageUtils.downloadEncryptedBackup(this.exportPassword.value, this.exportConfirmPassword.value);
+      this.exportForm.reset();
+      this.exportForm.classList.add('hidden');
+    } catch (error) {
+      console.error('Error exporting secrets:', error);
+      this.showMessage(error.message, true);
+    } finally {
+      this.exportEncryptedBtn.disabled = false;
+    }
+  }
+
+  async handleImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      this.importFile.value = '';
+
+      if (this.isEncryptedExport(text)) {
+        this.showImportPasswordPrompt(JSON.parse(text));
+        return;
+      }
+
+      await this.showImportPreview(ImportParser.parse(text));
+    } catch (error) {
+      console.error('Error importing secrets:', error);
+      this.showMessage('Failed to import secrets: ' + error.message, true);
+      this.importFile.value = '';
+    }
+  }
+
+  isEncryptedExport(text) {
+    try {
+      return EncryptedExport.isEncryptedExport(JSON.parse(text));
+    } catch {
+      return false;
+    }
+  }
+
+  showImportPasswordPrompt(envelope) {
+    this.pendingEncryptedImport = envelope;
+    this.importPanel.classList.remove('hidden');
+    this.importSummary.textContent = 'This backup is protected with a password.';
+    this.importPreview.clear();
+    this.importPasswordError.classList.add('hidden');
+    this.importPasswordForm.reset();
+    this.importPasswordForm.classList.remove('hidden');
+    this.importPassword.focus();
+  }
+
+  async handleDecryptImport(e) {
+    e.preventDefault();
+    if (!this.pendingEncryptedImport) return;
+
+    this.importPasswordError.classList.add('hidden');
+    this.importDecryptBtn.disabled = true;
+
+    try {
+      const text = await EncryptedExport.decrypt(this.pendingEncryptedImport, this.importPassword.value);
+      this.pendingEncryptedImport = null;
+      await this.showImportPreview(ImportParser.parse(text));
+    } catch (error) {
+      this.importPasswordError.textContent = error.message;
+      this.importPasswordError.classList.remove('hidden');
+      this.importPassword.select();
+    } finally {
+      this.importDecryptBtn.disabled = false;
+    }
+  }
+
+  async showImportPreview(result) {
+    this.importPanel.classList.remove('hidden');
+    this.importPasswordForm.classList.add('hidden');
+    await this.importPreview.show(result);
+  }
+
+  async handleConfirmImport() {
+    const summary = await this.importPreview.confirm();
+    if (summary) {
+      this.importPreview.showResults(summary);
+      await this.loadSecrets();
+    }
+  }
+
+  closeImport() {
+    this.importPreview.clear();
+    this.pendingEncryptedImport = null;
+    this.importPanel.classList.add('hidden');
+  }
+
+  // With an undo callback the message gets an Undo button and stays longer
+  showMessage(text, isError = false, undo = null) {
+    this.message.textContent = text;
+    this.message.className = `mb-4 px-3 py-2 rounded text-sm border ${isError
+      ? 'bg-red-50 border-red-200 text-red-700'
+      : 'bg-green-50 border-green-200 text-green-700'}`;
+    if (undo) {
+      const button = document.createElement('button');
+      button.className = 'ml-3 font-medium underline';
+      button.textContent = 'Undo';
+      button.addEventListener('click', () => {
+        this.message.classList.add('hidden');
+        undo();
+      }, { once: true });
+      this.message.appendChild(button);
+    }
+    clearTimeout(this.messageTimer);
+    this.messageTimer = setTimeout(() => this.message.classList.add('hidden'), undo ? 10000 : 5000);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
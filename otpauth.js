@@ -0,0 +1,208 @@
+// otpauth:// URI parsing (the Key Uri Format used by authenticator QR codes)
+class OtpAuthUri {
+  static isOtpAuthUri(text) {
+    return /^otpauth:\/\//i.test((text || '').trim());
+  }
+
+  // Returns the account fields stored on a secret (minus website and id)
+  static parse(uri) {
+    let url;
+    try {
+      url = new URL(uri.trim());
+    } catch {
+      throw new Error('Invalid otpauth URI');
+    }
+
+    if (url.protocol !== 'otpauth:') {
+      throw new Error('Not an otpauth:// URI');
+    }
+
+    const type = url.hostname.toLowerCase();
+    if (type !== 'totp' && type !== 'hotp') {
+      throw new Error(`Unsupported OTP type: ${type}`);
+    }
+
+    // Label is "Issuer:account" or just "account"
+    const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+    const separator = label.indexOf(':');
+    const labelIssuer = separator >= 0 ? label.slice(0, separator).trim() : '';
+    const account = (separator >= 0 ? label.slice(separator + 1) : label).trim();
+
+    const params = url.searchParams;
+    const secret = (params.get('secret') || '').replace(/\s/g, '').replace(/=+$/, '').toUpperCase();
+    if (!secret || !TOTPGenerator.validateSecret(secret)) {
+      throw new Error('Missing or invalid secret in otpauth URI');
+    }
+
+    const algorithm = TOTPGenerator.normalizeAlgorithm(params.get('algorithm'));
+    if (!algorithm) {
+      throw new Error(`Unsupported algorithm: ${params.get('algorithm')}`);
+    }
+
+    const issuer = (params.get('issuer') || labelIssuer).trim();
+
+    return {
+      type,
+      name: account || issuer,
+      issuer,
+      secret,
+      digits: parseInt(params.get('digits')) || 6,
+      period: parseInt(params.get('period')) || 30,
+      counter: parseInt(params.get('counter')) || 0,
+      algorithm
+    };
+  }
+
+  // The website an issuer names, or the current domain when the issuer is
+  // its name, e.g. "GitHub" on github.com. Empty otherwise: a made-up domain
+  // could belong to someone else, so the user is asked instead.
+  static guessWebsite(issuer, currentDomain = '') {
+    const value = (issuer || '').trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/\/.*$/, '');
+    if (!value) return '';
+
+    if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(value)) {
+      return value;
+    }
+
+    const slug = value.replace(/[^a-z0-9]/g, '');
+    const registrable = currentDomain ? DomainMatcher.getRegistrableDomain(currentDomain) : '';
+    if (slug && registrable.split('.')[0] === slug) {
+      return currentDomain;
+    }
+
+    return '';
+  }
+}
+
+// Google Authenticator bulk export: otpauth-migration://offline?data=<base64 protobuf>
+// A large export is split into several QR codes that share a batch id.
+class MigrationPayload {
+  static isMigrationUri(text) {
+    return /^otpauth-migration:\/\//i.test((text || '').trim());
+  }
+
+  static decode(uri) {
+    let url;
+    try {
+      url = new URL(uri.trim());
+    } catch {
+      throw new Error('Invalid otpauth-migration URI');
+    }
+
+    // URLSearchParams turns an unescaped '+' into a space
+    const data = (url.searchParams.get('data') || '').replace(/ /g, '+');
+    if (!data) {
+      throw new Error('Migration URI has no data');
+    }
+
+    let bytes;
+    try {
+      bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+    } catch {
+      throw new Error('Migration data is not valid base64');
+    }
+
+    const payload = {
+      version: 0,
+      batchSize: 1,
+      batchIndex: 0,
+      batchId: 0,
+      accounts: [],
+      skipped: []
+    };
+
+    for (const field of this.readMessage(bytes)) {
+      switch (field.number) {
+        case 1: this.addAccount(payload, this.readMessage(field.value)); break;
+        case 2: payload.version = field.value; break;
+        case 3: payload.batchSize = field.value || 1; break;
+        case 4: payload.batchIndex = field.value; break;
+        case 5: payload.batchId = field.value; break;
+      }
+    }
+
+    return payload;
+  }
+
+  static addAccount(payload, fields) {
+    const decoder = new TextDecoder();
+    const values = {};
+    for (const field of fields) {
+      values[field.number] = field.value;
+    }
+
+    // Names are often "Issuer:account", like otpauth labels
+    let name = values[2] ? decoder.decode(values[2]) : '';
+    const issuer = values[3] ? decoder.decode(values[3]) : '';
+    if (issuer && name.startsWith(`${issuer}:`)) {
+      name = name.slice(issuer.length + 1).trim();
+    }
+
+    const algorithm = [null, 'SHA1', 'SHA256', 'SHA512', 'MD5'][values[4] || 1];
+    const entry = { name: name || issuer, issuer };
+
+    if (!values[1] || values[1].length === 0) {
+      payload.skipped.push({ ...entry, reason: 'Missing secret' });
+      return;
+    }
+    if (!TOTPGenerator.normalizeAlgorithm(algorithm)) {
+      payload.skipped.push({ ...entry, reason: `${algorithm || 'Unknown'} algorithm is not supported` });
+      return;
+    }
+
+    payload.accounts.push({
+      ...entry,
+      type: values[6] === 1 ? 'hotp' : 'totp',
+      secret: TOTPGenerator.base32Encode(values[1]),
+      digits: values[5] === 2 ? 8 : 6,
+      period: 30,
+      counter: values[7] || 0,
+      algorithm
+    });
+  }
+
+  // Minimal protobuf reader: varint and length-delimited fields only
+  static readMessage(bytes) {
+    const fields = [];
+    let position = 0;
+
+    const readVarint = () => {
+      let value = 0;
+      let multiplier = 1;
+      while (position < bytes.length) {
+        const byte = bytes[position++];
+        value += (byte & 0x7f) * multiplier;
+        if ((byte & 0x80) === 0) return value;
+        multiplier *= 128;
+      }
+      throw new Error('Truncated migration data');
+    };
+
+    while (position < bytes.length) {
+      const key = readVarint();
+      const number = Math.floor(key / 8);
+      const wireType = key & 7;
+
+      if (wireType === 0) {
+        fields.push({ number, value: readVarint() });
+      } else if (wireType === 2) {
+        const length = readVarint();
+        if (position + length > bytes.length) {
+          throw new Error('Truncated migration data');
+        }
+        fields.push({ number, value: bytes.subarray(position, position + length) });
+        position += length;
+      } else if (wireType === 1) {
+        position += 8;
+      } else if (wireType === 5) {
+        position += 4;
+      } else {
+        throw new Error('Unsupported migration data');
+      }
+    }
+
+    return fields;
+  }
+}
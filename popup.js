@@ -1,165 +1,3 @@
-// TOTP Generator utility functions
-class TOTPGenerator {
-  static base32Decode(encoded) {
-    const base32Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-    encoded = encoded.replace(/=+$/, '');
-    let bits = '';
-    
-    for (let i = 0; i < encoded.length; i++) {
-      const val = base32Chars.indexOf(encoded.charAt(i).toUpperCase());
-      if (val === -1) throw new Error('Invalid base32 character');
-      bits += val.toString(2).padStart(5, '0');
-    }
-    
-    const bytes = new Uint8Array(Math.floor(bits.length / 8));
-    for (let i = 0; i < bytes.length; i++) {
-      bytes[i] = parseInt(bits.substr(i * 8, 8), 2);
-    }
-    
-    return bytes;
-  }
-
-  static async hmacSha1(key, data) {
-    const cryptoKey = await crypto.subtle.importKey(
-      'raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
-    );
-    const signature = await crypto.subtle.sign('HMAC', cryptoKey, data);
-    return new Uint8Array(signature);
-  }
-
-  static async generateTOTP(secret, timestamp = null, digits = 6, period = 30) {
-    try {
-      const key = this.base32Decode(secret);
-      const time = timestamp || Math.floor(Date.now() / 1000);
-      const counter = Math.floor(time / period);
-      
-      const counterBytes = new ArrayBuffer(8);
-      const counterView = new DataView(counterBytes);
-      counterView.setUint32(4, counter, false);
-      
-      const hmac = await this.hmacSha1(key, counterBytes);
-      const offset = hmac[hmac.length - 1] & 0xf;
-      
-      const code = (
-        ((hmac[offset] & 0x7f) << 24) |
-        ((hmac[offset + 1] & 0xff) << 16) |
-        ((hmac[offset + 2] & 0xff) << 8) |
-        (hmac[offset + 3] & 0xff)
-      ) % Math.pow(10, digits);
-      
-      const timeRemaining = period - (time % period);
-      const progress = ((period - timeRemaining) / period) * 100;
-      
-      return {
-        code: code.toString().padStart(digits, '0'),
-        timeRemaining,
-        progress
-      };
-    } catch (error) {
-      throw new Error('Invalid secret key');
-    }
-  }
-
-  static validateSecret(secret) {
-    try {
-      this.base32Decode(secret);
-      return true;
-    } catch {
-      return false;
-    }
-  }
-}
-
-// Storage Manager
-class StorageManager {
-  static async getSecretsForDomain(domain) {
-    const result = await chrome.storage.local.get([domain]);
-    return result[domain] || [];
-  }
-
-  static async getAllSecrets() {
-    const result = await chrome.storage.local.get();
-    const allSecrets = [];
-    
-    Object.keys(result).forEach(domain => {
-      if (Array.isArray(result[domain])) {
-        allSecrets.push(...result[domain]);
-      }
-    });
-    
-    return allSecrets;
-  }
-
-  static async saveSecret(secret) {
-    const secrets = await this.getSecretsForDomain(secret.website);
-    const existingIndex = secrets.findIndex(s => s.id === secret.id);
-    
-    if (existingIndex >= 0) {
-      secrets[existingIndex] = { ...secret, updatedAt: new Date().toISOString() };
-    } else {
-      secret.id = this.generateId();
-      secret.createdAt = new Date().toISOString();
-      secret.updatedAt = new Date().toISOString();
-      secrets.push(secret);
-    }
-    
-    await chrome.storage.local.set({ [secret.website]: secrets });
-  }
-
-  static async deleteSecret(secretId, domain) {
-    const secrets = await this.getSecretsForDomain(domain);
-    const filteredSecrets = secrets.filter(s => s.id !== secretId);
-    await chrome.storage.local.set({ [domain]: filteredSecrets });
-  }
-
-  static async exportSecrets() {
-    const secrets = await this.getAllSecrets();
-    return JSON.stringify({
-      version: '1.0',
-      exportDate: new Date().toISOString(),
-      secrets: secrets.map(s => ({
-        website: s.website,
-        name: s.name,
-        secret: s.secret,
-        issuer: s.issuer || '',
-        digits: s.digits || 6,
-        period: s.period || 30
-      }))
-    }, null, 2);
-  }
-
-  static async importSecrets(jsonData) {
-    try {
-      const data = JSON.parse(jsonData);
-      if (!data.secrets || !Array.isArray(data.secrets)) {
-        throw new Error('Invalid import format');
-      }
-
-      for (const secret of data.secrets) {
-        if (!secret.website || !secret.name || !secret.secret) {
-          continue; // Skip invalid entries
-        }
-
-        await this.saveSecret({
-          website: secret.website,
-          name: secret.name,
-          secret: secret.secret,
-          issuer: secret.issuer || '',
-          digits: secret.digits || 6,
-          period: secret.period || 30,
-          algorithm: 'SHA1'
-        });
-      }
-    } catch (error) {
-      throw new Error('Failed to import secrets: ' + error.message);
-    }
-  }
-
-  static generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
-  }
-}
-
 // UI Controller
 class UIController {
   constructor() {
@@ -167,6 +5,18 @@ class UIController {
     this.currentSecrets = [];
     this.updateInterval = null;
     this.editingSecret = null;
+    this.revealedCodes = {};
+    this.pendingEncryptedImport = null;
+    this.domainSettings = {};
+    this.showingAll = false;
+    this.listSettings = { ...DEFAULT_SETTINGS };
+    this.usage = {};
+    this.searchQuery = '';
+    this.selectedTag = '';
+    this.selectedSecretId = null;
+    this.waitingSecretId = null;
+    this.orderedSecrets = [];
+    this.visibleSecretIds = [];
     
     this.initializeElements();
     this.bindEvents();
@@ -177,60 +27,454 @@ class UIController {
     // Main view elements
     this.mainView = document.getElementById('mainView');
     this.editView = document.getElementById('editView');
+    this.importView = document.getElementById('importView');
+    this.lockView = document.getElementById('lockView');
+    this.settingsView = document.getElementById('settingsView');
+    this.exportView = document.getElementById('exportView');
     this.currentDomainEl = document.getElementById('currentDomain');
     this.totpList = document.getElementById('totpList');
     this.emptyState = document.getElementById('emptyState');
     this.totalSecretsEl = document.getElementById('totalSecrets');
+    this.mainErrorMessage = document.getElementById('mainErrorMessage');
+    this.listToolbar = document.getElementById('listToolbar');
+    this.searchInput = document.getElementById('searchInput');
+    this.sortOrder = document.getElementById('sortOrder');
+    this.tagFilter = document.getElementById('tagFilter');
+    this.undoToast = document.getElementById('undoToast');
+    this.undoMessage = document.getElementById('undoMessage');
+    this.undoBtn = document.getElementById('undoBtn');
     
     // Buttons
     this.addNewBtn = document.getElementById('addNewBtn');
+    this.scanPageBtn = document.getElementById('scanPageBtn');
     this.addFirstBtn = document.getElementById('addFirstBtn');
     this.backBtn = document.getElementById('backBtn');
     this.exportBtn = document.getElementById('exportBtn');
     this.importBtn = document.getElementById('importBtn');
     this.showAllBtn = document.getElementById('showAllBtn');
+    this.manageBtn = document.getElementById('manageBtn');
     this.importFile = document.getElementById('importFile');
+    this.lockBtn = document.getElementById('lockBtn');
+    this.settingsBtn = document.getElementById('settingsBtn');
     
     // Form elements
     this.secretForm = document.getElementById('secretForm');
     this.editTitle = document.getElementById('editTitle');
     this.secretName = document.getElementById('secretName');
     this.secretWebsite = document.getElementById('secretWebsite');
+    this.secretMatching = document.getElementById('secretMatching');
+    this.secretExtraDomains = document.getElementById('secretExtraDomains');
+    this.secretPatterns = document.getElementById('secretPatterns');
     this.secretKey = document.getElementById('secretKey');
     this.secretIssuer = document.getElementById('secretIssuer');
+    this.secretTags = document.getElementById('secretTags');
+    this.secretFavorite = document.getElementById('secretFavorite');
     this.secretDigits = document.getElementById('secretDigits');
     this.secretPeriod = document.getElementById('secretPeriod');
+    this.secretAlgorithm = document.getElementById('secretAlgorithm');
+    this.secretType = document.getElementById('secretType');
+    this.secretCounter = document.getElementById('secretCounter');
+    this.periodField = document.getElementById('periodField');
+    this.counterField = document.getElementById('counterField');
     this.errorMessage = document.getElementById('errorMessage');
     this.deleteBtn = document.getElementById('deleteBtn');
+    this.historySection = document.getElementById('historySection');
+    this.historyList = document.getElementById('historyList');
     this.advancedToggle = document.getElementById('advancedToggle');
     this.advancedOptions = document.getElementById('advancedOptions');
     this.advancedArrow = document.getElementById('advancedArrow');
+    
+    // Quick fill from URI / QR code
+    this.otpauthUri = document.getElementById('otpauthUri');
+    this.qrDropZone = document.getElementById('qrDropZone');
+    this.qrUploadBtn = document.getElementById('qrUploadBtn');
+    this.qrFile = document.getElementById('qrFile');
+    
+    // Import results
+    this.importSummary = document.getElementById('importSummary');
+    this.importBatchNotice = document.getElementById('importBatchNotice');
+    this.importList = document.getElementById('importList');
+    this.importCloseBtn = document.getElementById('importCloseBtn');
+    this.importDoneBtn = document.getElementById('importDoneBtn');
+    this.importConfirmBtn = document.getElementById('importConfirmBtn');
+    this.importTitle = document.getElementById('importTitle');
+    this.importPasswordForm = document.getElementById('importPasswordForm');
+    this.importPassword = document.getElementById('importPassword');
+    this.importPasswordError = document.getElementById('importPasswordError');
+    this.importDecryptBtn = document.getElementById('importDecryptBtn');
+    this.importPreview = new ImportPreview({
+      list: this.importList,
+      summary: this.importSummary,
+      confirmButton: this.importConfirmBtn
+    });
+    
+    // Export
+    this.exportCloseBtn = document.getElementById('exportCloseBtn');
+    this.exportForm = document.getElementById('exportForm');
+    this.exportPassword = document.getElementById('exportPassword');
+    this.exportConfirmPassword = document.getElementById('exportConfirmPassword');
+    this.exportEncryptedBtn = document.getElementById('exportEncryptedBtn');
+    this.exportPlainBtn = document.getElementById('exportPlainBtn');
+    this.exportError = document.getElementById('exportError');
+    
+    // Lock screen
+    this.unlockForm = document.getElementById('unlockForm');
+    this.unlockPassword = document.getElementById('unlockPassword');
+    this.unlockBtn = document.getElementById('unlockBtn');
+    this.unlockError = document.getElementById('unlockError');
+    
+    // Settings
+    this.settingsCloseBtn = document.getElementById('settingsCloseBtn');
+    this.vaultEnableForm = document.getElementById('vaultEnableForm');
+    this.vaultDisableForm = document.getElementById('vaultDisableForm');
+    this.vaultNewPassword = document.getElementById('vaultNewPassword');
+    this.vaultConfirmPassword = document.getElementById('vaultConfirmPassword');
+    this.vaultCurrentPassword = document.getElementById('vaultCurrentPassword');
+    this.settingsError = document.getElementById('settingsError');
+    this.showInlineButton = document.getElementById('showInlineButton');
+    this.nextCodeSeconds = document.getElementById('nextCodeSeconds');
+    this.expiringCode = document.getElementById('expiringCode');
+    this.clockOffset = document.getElementById('clockOffset');
+    this.trashDays = document.getElementById('trashDays');
+    this.trashList = document.getElementById('trashList');
+    this.trashEmpty = document.getElementById('trashEmpty');
+    this.emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    this.autoSubmitField = document.getElementById('autoSubmitField');
+    this.autoSubmitToggle = document.getElementById('autoSubmitToggle');
+    this.autoSubmitDomain = document.getElementById('autoSubmitDomain');
+    this.autoSubmitBlocked = document.getElementById('autoSubmitBlocked');
+    this.neverSubmitDomains = document.getElementById('neverSubmitDomains');
+    this.siteRulesSection = document.getElementById('siteRulesSection');
+    this.siteRulesDomain = document.getElementById('siteRulesDomain');
+    this.fieldSelector = document.getElementById('fieldSelector');
+    this.submitSelector = document.getElementById('submitSelector');
+    this.pickFieldBtn = document.getElementById('pickFieldBtn');
+    this.pickSubmitBtn = document.getElementById('pickSubmitBtn');
   }
 
   bindEvents() {
     // Navigation
     this.addNewBtn.addEventListener('click', () => this.showEditView());
     this.addFirstBtn.addEventListener('click', () => this.showEditView());
+    this.scanPageBtn.addEventListener('click', () => this.handleScanPage());
     this.backBtn.addEventListener('click', () => this.showMainView());
     
+    // Account list
+    this.searchInput.addEventListener('input', () => {
+      this.searchQuery = this.searchInput.value;
+      this.selectedSecretId = null;
+      this.renderSecrets();
+    });
+    this.sortOrder.addEventListener('change', () => this.handleSortChange());
+    this.tagFilter.addEventListener('change', () => this.filterByTag(this.tagFilter.value));
+    document.addEventListener('keydown', (e) => this.handleListKeydown(e));
+    
     // Form
     this.secretForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
     this.deleteBtn.addEventListener('click', () => this.handleDelete());
+    this.undoBtn.addEventListener('click', () => this.handleUndo());
+    this.historyList.addEventListener('click', (e) => {
+      const button = e.target.closest('.history-restore');
+      if (button) this.restoreHistoryEntry(parseInt(button.dataset.index));
+    });
     
     // Advanced options toggle
     this.advancedToggle.addEventListener('click', () => this.toggleAdvancedOptions());
+    this.secretType.addEventListener('change', () => this.updateTypeFields());
+    
+    // Quick fill from URI / QR code
+    this.otpauthUri.addEventListener('input', () => this.handleUriInput(this.otpauthUri));
+    this.secretKey.addEventListener('input', () => this.handleUriInput(this.secretKey));
+    this.qrUploadBtn.addEventListener('click', () => this.qrFile.click());
+    this.qrFile.addEventListener('change', (e) => this.handleQRFile(e));
+    this.qrDropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.qrDropZone.classList.add('border-blue-400', 'bg-blue-50');
+    });
+    this.qrDropZone.addEventListener('dragleave', () => {
+      this.qrDropZone.classList.remove('border-blue-400', 'bg-blue-50');
+    });
+    this.qrDropZone.addEventListener('drop', (e) => this.handleQRDrop(e));
+    this.editView.addEventListener('paste', (e) => this.handleQRPaste(e));
+    
+    // Import results
+    this.importCloseBtn.addEventListener('click', () => this.showMainView());
+    this.importDoneBtn.addEventListener('click', () => this.showMainView());
+    this.importConfirmBtn.addEventListener('click', () => this.handleConfirmImport());
+    this.importPasswordForm.addEventListener('submit', (e) => this.handleDecryptImport(e));
     
     // Import/Export
-    this.exportBtn.addEventListener('click', () => this.handleExport());
+    this.exportBtn.addEventListener('click', () => this.showExportView());
+    this.exportCloseBtn.addEventListener('click', () => this.showMainView());
+    this.exportForm.addEventListener('submit', (e) => this.handleEncryptedExport(e));
+    this.exportPlainBtn.addEventListener('click', () => this.handleExport());
     this.importBtn.addEventListener('click', () => this.importFile.click());
     this.importFile.addEventListener('change', (e) => this.handleImport(e));
     this.showAllBtn.addEventListener('click', (e) => this.handleShowAll(e));
+    this.manageBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    
+    // Master password
+    this.unlockForm.addEventListener('submit', (e) => this.handleUnlock(e));
+    this.lockBtn.addEventListener('click', () => this.handleLock());
+    this.settingsBtn.addEventListener('click', () => this.showSettingsView());
+    this.settingsCloseBtn.addEventListener('click', () => this.showMainView());
+    this.vaultEnableForm.addEventListener('submit', (e) => this.handleEnableVault(e));
+    this.vaultDisableForm.addEventListener('submit', (e) => this.handleDisableVault(e));
+    
+    // Page integration
+    this.showInlineButton.addEventListener('change', () => this.handleSettingToggle('showInlineButton', this.showInlineButton));
+    
+    // Expiring codes and clock
+    this.nextCodeSeconds.addEventListener('change', () => this.handleNumberSetting('nextCodeSeconds', this.nextCodeSeconds, 0, 29));
+    this.clockOffset.addEventListener('change', () => this.handleNumberSetting('clockOffset', this.clockOffset, -3600, 3600));
+    this.expiringCode.addEventListener('change', () => this.handleSettingChange('expiringCode', this.expiringCode.value));
+    
+    // Trash
+    this.trashDays.addEventListener('change', () => this.handleNumberSetting('trashDays', this.trashDays, 1, 365));
+    this.trashList.addEventListener('click', (e) => this.handleTrashClick(e));
+    this.emptyTrashBtn.addEventListener('click', () => this.handleEmptyTrash());
+    
+    // Auto-submit
+    this.autoSubmitToggle.addEventListener('change', () => this.handleAutoSubmitToggle());
+    this.neverSubmitDomains.addEventListener('change', () => this.handleNeverSubmitChange());
+    
+    // Site selector rules
+    this.fieldSelector.addEventListener('change', () => this.handleSelectorChange('fieldSelector', this.fieldSelector));
+    this.submitSelector.addEventListener('change', () => this.handleSelectorChange('submitSelector', this.submitSelector));
+    this.pickFieldBtn.addEventListener('click', () => this.handlePickField('field'));
+    this.pickSubmitBtn.addEventListener('click', () => this.handlePickField('submit'));
   }
 
   async initialize() {
     await this.getCurrentDomain();
+    if (await Vault.isLocked()) {
+      this.showLockView();
+      return;
+    }
     await this.loadSecrets();
     this.startCountdownTimer();
+    this.updateLockButton();
+  }
+
+  async updateLockButton() {
+    this.lockBtn.classList.toggle('hidden', !(await Vault.isEnabled()));
+  }
+
+  showLockView() {
+    if (this.updateInterval) {
+      clearInterval(this.updateInterval);
+      this.updateInterval = null;
+    }
+    this.currentSecrets = [];
+    this.revealedCodes = {};
+    this.totpList.innerHTML = '';
+    this.listToolbar.classList.add('hidden');
+    
+    this.mainView.classList.add('hidden');
+    this.editView.classList.add('hidden');
+    this.importView.classList.add('hidden');
+    this.settingsView.classList.add('hidden');
+    this.exportView.classList.add('hidden');
+    this.lockView.classList.remove('hidden');
+    this.unlockPassword.focus();
+  }
+
+  async handleUnlock(e) {
+    e.preventDefault();
+    this.unlockError.classList.add('hidden');
+    this.unlockBtn.disabled = true;
+    this.unlockBtn.textContent = 'Unlocking...';
+    
+    try {
+      await Vault.unlock(this.unlockPassword.value);
+      this.unlockPassword.value = '';
+      
+      // Finish a paste-totp shortcut that was waiting for the unlock
+      const response = await chrome.runtime.sendMessage({ action: 'vaultUnlocked' });
+      if (response?.resumed) {
+        window.close();
+        return;
+      }
+      
+      this.lockView.classList.add('hidden');
+      this.mainView.classList.remove('hidden');
+      await this.loadSecrets();
+      this.startCountdownTimer();
+      this.updateLockButton();
+    } catch (error) {
+      this.unlockError.textContent = error.message;
+      this.unlockError.classList.remove('hidden');
+      this.unlockPassword.select();
+    } finally {
+      this.unlockBtn.disabled = false;
+      this.unlockBtn.textContent = 'Unlock';
+    }
+  }
+
+  async handleLock() {
+    await Vault.lock();
+    this.showLockView();
+  }
+
+  async showSettingsView() {
+    this.hideError();
+    this.mainView.classList.add('hidden');
+    this.settingsView.classList.remove('hidden');
+    await this.renderVaultSettings();
+    await this.renderAutoSubmitSettings();
+    await this.renderSiteRules();
+    
+    const settings = await StorageManager.getSettings();
+    this.showInlineButton.checked = settings.showInlineButton;
+    this.nextCodeSeconds.value = settings.nextCodeSeconds;
+    this.expiringCode.value = settings.expiringCode;
+    this.clockOffset.value = settings.clockOffset;
+    this.trashDays.value = settings.trashDays;
+    await this.renderTrash();
+  }
+
+  async handleSettingToggle(name, checkbox) {
+    await this.handleSettingChange(name, checkbox.checked);
+  }
+
+  async handleSettingChange(name, value) {
+    try {
+      await StorageManager.saveSettings({ [name]: value });
+    } catch (error) {
+      console.error('Error saving setting:', error);
+      this.showError('Failed to save setting');
+    }
+  }
+
+  // Whole numbers only, clamped to the allowed range
+  async handleNumberSetting(name, input, min, max) {
+    const value = Math.min(Math.max(parseInt(input.value) || 0, min), max);
+    input.value = value;
+    await this.handleSettingChange(name, value);
+  }
+
+  async renderVaultSettings() {
+    const enabled = await Vault.isEnabled();
+    this.vaultEnableForm.classList.toggle('hidden', enabled);
+    this.vaultDisableForm.classList.toggle('hidden', !enabled);
+    this.vaultEnableForm.reset();
+    this.vaultDisableForm.reset();
+  }
+
+  async renderAutoSubmitSettings() {
+    const settings = await StorageManager.getSettings();
+    const domainSettings = await StorageManager.getDomainSettings(this.currentDomain);
+    const blocked = DomainMatcher.isHostInList(this.currentDomain, settings.neverSubmitDomains);
+    
+    this.autoSubmitField.classList.toggle('hidden', !this.currentDomain);
+    this.autoSubmitDomain.textContent = this.currentDomain;
+    this.autoSubmitToggle.checked = !!domainSettings.autoSubmit && !blocked;
+    this.autoSubmitToggle.disabled = blocked;
+    this.autoSubmitBlocked.classList.toggle('hidden', !blocked || !this.currentDomain);
+    this.neverSubmitDomains.value = settings.neverSubmitDomains.join('\n');
+  }
+
+  async renderSiteRules() {
+    const domainSettings = await StorageManager.getDomainSettings(this.currentDomain);
+    this.siteRulesSection.classList.toggle('hidden', !this.currentDomain);
+    this.siteRulesDomain.textContent = this.currentDomain;
+    this.fieldSelector.value = domainSettings.fieldSelector || '';
+    this.submitSelector.value = domainSettings.submitSelector || '';
+  }
+
+  async handleSelectorChange(key, input) {
+    const selector = input.value.trim();
+    if (selector) {
+      try {
+        document.querySelector(selector);
+      } catch {
+        this.showError(`"${selector}" is not a valid CSS selector`);
+        return;
+      }
+    }
+    
+    try {
+      await StorageManager.saveDomainSettings(this.currentDomain, { [key]: selector });
+    } catch (error) {
+      console.error('Error saving selector rule:', error);
+      this.showError('Failed to save setting');
+    }
+  }
+
+  // The page takes over from here; the popup closes as soon as it loses focus.
+  // Every frame picks, as the code field is often in a login iframe.
+  async handlePickField(target) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await chrome.tabs.sendMessage(tab.id, { action: 'pickField', target });
+      window.close();
+    } catch (error) {
+      console.error('Error starting field picker:', error);
+      this.showError('Cannot pick fields on this page');
+    }
+  }
+
+  async handleAutoSubmitToggle() {
+    try {
+      await StorageManager.saveDomainSettings(this.currentDomain, { autoSubmit: this.autoSubmitToggle.checked });
+    } catch (error) {
+      console.error('Error saving auto-submit setting:', error);
+      this.showError('Failed to save setting');
+    }
+  }
+
+  async handleNeverSubmitChange() {
+    const neverSubmitDomains = [...new Set(
+      this.neverSubmitDomains.value.split(/[\s,]+/)
+        .map(entry => DomainMatcher.normalizeHost(entry))
+        .filter(Boolean)
+    )];
+    
+    try {
+      await StorageManager.saveSettings({ neverSubmitDomains });
+      await this.renderAutoSubmitSettings();
+    } catch (error) {
+      console.error('Error saving never-submit list:', error);
+      this.showError('Failed to save setting');
+    }
+  }
+
+  async handleEnableVault(e) {
+    e.preventDefault();
+    this.hideError();
+    
+    const password = this.vaultNewPassword.value;
+    if (password.length < 8) {
+      this.showError('The master password must be at least 8 characters');
+      return;
+    }
+    if (password !== this.vaultConfirmPassword.value) {
+      this.showError('The passwords do not match');
+      return;
+    }
+    
+    try {
+      await Vault.enable(password);
+      await this.renderVaultSettings();
+      this.updateLockButton();
+    } catch (error) {
+      console.error('Error setting master password:', error);
+      this.showError('Failed to set master password: ' + error.message);
+    }
+  }
+
+  async handleDisableVault(e) {
+    e.preventDefault();
+    this.hideError();
+    
+    try {
+      await Vault.disable(this.vaultCurrentPassword.value);
+      await this.renderVaultSettings();
+      this.updateLockButton();
+    } catch (error) {
+      console.error('Error removing master password:', error);
+      this.showError(error.message);
+    }
   }
 
   async getCurrentDomain() {
@@ -250,8 +494,17 @@ class UIController {
 
   async loadSecrets() {
     try {
-      this.currentSecrets = await StorageManager.getSecretsForDomain(this.currentDomain);
-      const allSecrets = await StorageManager.getAllSecrets();      
+      const allSecrets = await StorageManager.getAllSecrets();
+      const siteSecrets = DomainMatcher.filter(allSecrets, this.currentDomain);
+      // Favorites are listed on every site
+      const favorites = allSecrets.filter(s => s.favorite && !siteSecrets.includes(s));
+      this.currentSecrets = [...favorites, ...siteSecrets];
+      this.domainSettings = await StorageManager.getDomainSettings(this.currentDomain);
+      this.listSettings = await StorageManager.getSettings();
+      this.usage = await StorageManager.getUsage();
+      this.sortOrder.value = this.listSettings.sortOrder;
+      this.showingAll = false;
+      this.renderTagFilter();
       this.totalSecretsEl.textContent = `${allSecrets.length} secret${allSecrets.length !== 1 ? 's' : ''}`;
       this.renderSecrets();
     } catch (error) {
@@ -262,35 +515,155 @@ class UIController {
 
   async renderSecrets() {
     if (this.currentSecrets.length === 0) {
+      this.listToolbar.classList.add('hidden');
       this.totpList.style.display = 'none';
       this.emptyState.style.display = 'block';
       return;
     }
     
+    this.listToolbar.classList.remove('hidden');
     this.totpList.style.display = 'block';
     this.emptyState.style.display = 'none';
     
-    const secretsHtml = await Promise.all(
-      this.currentSecrets.map(secret => this.renderSecretCard(secret))
-    );
+    const matches = StorageManager.searchSecrets(this.currentSecrets, this.searchQuery)
+      .filter(secret => !this.selectedTag || this.hasTag(secret, this.selectedTag));
+    const secrets = this.sortSecrets(matches);
+    if (secrets.length === 0) {
+      this.orderedSecrets = [];
+      this.visibleSecretIds = [];
+      this.totpList.innerHTML = `
+        <p class="text-center text-sm text-gray-500 py-4">No accounts match your search</p>
+      `;
+      return;
+    }
+    
+    // Show All groups the accounts by website, favorites first
+    const groups = this.showingAll ? this.groupByWebsite(secrets) : [{ key: null, secrets }];
+    const visible = [];
+    const groupsHtml = await Promise.all(groups.map(async group => {
+      // A search opens every group with matches
+      const collapsed = group.key !== null && !this.searchQuery &&
+        this.listSettings.collapsedWebsites.includes(group.key);
+      if (!collapsed) visible.push(...group.secrets);
+      
+      const cards = collapsed ? [] : await Promise.all(group.secrets.map(secret => this.renderSecretCard(secret)));
+      if (group.key === null) return cards.join('');
+      
+      return `
+        <div>
+          <button class="group-toggle w-full flex items-center justify-between text-sm font-medium text-gray-600 hover:text-gray-800" data-group="${PageUtils.escapeHtml(group.key)}">
+            <span>${collapsed ? '▸' : '▾'} ${PageUtils.escapeHtml(group.label)}</span>
+            <span class="text-xs text-gray-400">${group.secrets.length}</span>
+          </button>
+          ${collapsed ? '' : `<div class="space-y-3 mt-2">${cards.join('')}</div>`}
+        </div>
+      `;
+    }));
     
-    this.totpList.innerHTML = secretsHtml.join('');
+    this.orderedSecrets = groups.flatMap(group => group.secrets);
+    this.visibleSecretIds = visible.map(secret => secret.id);
+    if (!this.visibleSecretIds.includes(this.selectedSecretId)) {
+      this.selectedSecretId = null;
+    }
+    
+    this.totpList.innerHTML = groupsHtml.join('');
     this.bindSecretCardEvents();
   }
 
+  // Favorites always come first
+  sortSecrets(secrets) {
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) ||
+      (a.issuer || '').localeCompare(b.issuer || '', undefined, { sensitivity: 'base' });
+    const favoritesFirst = (a, b) => !!b.favorite - !!a.favorite;
+    
+    if (this.listSettings.sortOrder === 'recent') {
+      return [...secrets].sort((a, b) => favoritesFirst(a, b) ||
+        (this.usage[b.id] || 0) - (this.usage[a.id] || 0) || byName(a, b));
+    }
+    
+    if (this.listSettings.sortOrder === 'manual') {
+      // Accounts that were never moved go last, by name
+      const order = this.listSettings.accountOrder;
+      const position = secret => (order.includes(secret.id) ? order.indexOf(secret.id) : Infinity);
+      return [...secrets].sort((a, b) => favoritesFirst(a, b) || position(a) - position(b) || byName(a, b));
+    }
+    
+    return [...secrets].sort((a, b) => favoritesFirst(a, b) || byName(a, b));
+  }
+
+  // Favorites get their own group; the collapsed list holds these keys
+  groupKey(secret) {
+    return secret.favorite ? ':favorites' : secret.website;
+  }
+
+  // Groups keep the order of their first account, except that sorting by
+  // name sorts the websites too
+  groupByWebsite(secrets) {
+    const groups = new Map();
+    for (const secret of secrets) {
+      const key = this.groupKey(secret);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(secret);
+    }
+    
+    const result = Array.from(groups, ([key, secrets]) => ({
+      key,
+      label: key === ':favorites' ? 'Favorites' : key,
+      secrets
+    }));
+    if (this.listSettings.sortOrder === 'name') {
+      result.sort((a, b) => (b.key === ':favorites') - (a.key === ':favorites') || a.key.localeCompare(b.key));
+    }
+    return result;
+  }
+
+  // The tag menu lists the tags of the accounts in the list
+  renderTagFilter() {
+    const tags = StorageManager.normalizeTags(this.currentSecrets.flatMap(secret => secret.tags || []))
+      .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+    this.selectedTag = tags.find(tag => tag.toLowerCase() === this.selectedTag.toLowerCase()) || '';
+    
+    this.tagFilter.innerHTML = '<option value="">All tags</option>' +
+      tags.map(tag => `<option value="${PageUtils.escapeHtml(tag)}">${PageUtils.escapeHtml(tag)}</option>`).join('');
+    this.tagFilter.value = this.selectedTag;
+    this.tagFilter.classList.toggle('hidden', tags.length === 0);
+  }
+
+  // Tags match ignoring case, like normalizeTags
+  hasTag(secret, tag) {
+    return (secret.tags || []).some(t => t.toLowerCase() === tag.toLowerCase());
+  }
+
+  filterByTag(tag) {
+    // The menu lists one spelling of each tag
+    const option = Array.from(this.tagFilter.options).find(o => o.value.toLowerCase() === tag.toLowerCase());
+    this.selectedTag = option ? option.value : '';
+    this.tagFilter.value = this.selectedTag;
+    this.selectedSecretId = null;
+    this.renderSecrets();
+  }
+
   async renderSecretCard(secret) {
+    const selected = this.selectedSecretId === secret.id ? 'ring-2 ring-blue-400' : '';
     try {
-      const totp = await TOTPGenerator.generateTOTP(
-        secret.secret, null, secret.digits || 6, secret.period || 30
-      );
+      const body = secret.type === 'hotp'
+        ? this.renderHOTPBody(secret)
+        : await this.renderTOTPBody(secret);
       
       return `
-        <div class="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
+        <div class="bg-white rounded-lg border border-gray-200 p-4 shadow-sm ${selected}" data-secret-id="${secret.id}">
           <div class="flex items-center justify-between mb-2">
             <div class="flex-1">
-              <h3 class="font-medium text-gray-800">${this.escapeHtml(secret.name)}</h3>
-              ${secret.issuer ? `<p class="text-sm text-gray-500">${this.escapeHtml(secret.issuer)}</p>` : ''}
+              <h3 class="font-medium text-gray-800">
+                ${secret.favorite ? '<span class="text-red-400" title="Favorite">♥</span>' : ''}
+                ${PageUtils.escapeHtml(secret.name)}
+              </h3>
+              ${secret.issuer ? `<p class="text-sm text-gray-500">${PageUtils.escapeHtml(secret.issuer)}</p>` : ''}
+              ${this.isOtherSite(secret) ? `<p class="text-xs text-gray-400">${PageUtils.escapeHtml(secret.website)}</p>` : ''}
+              ${this.renderTags(secret)}
             </div>
+            ${this.renderMoveButtons(secret)}
+            ${this.renderPinButton(secret)}
             <button class="text-gray-400 hover:text-gray-600 edit-secret" data-id="${secret.id}">
               <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
@@ -298,28 +671,15 @@ class UIController {
             </button>
           </div>
           
-          <div class="flex items-center justify-between">
-            <div class="flex items-center space-x-3">
-              <span class="font-mono text-2xl font-bold text-blue-600">${totp.code}</span>
-              <button class="copy-btn bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm transition-colors" data-code="${totp.code}">
-                Copy
-              </button>
-            </div>
-            <div class="text-right">
-              <div class="text-sm text-gray-500">${totp.timeRemaining}s</div>
-              <div class="w-16 h-2 bg-gray-200 rounded-full overflow-hidden">
-                <div class="countdown-bar h-full bg-blue-500" style="width: ${totp.progress}%"></div>
-              </div>
-            </div>
-          </div>
+          ${body}
         </div>
       `;
     } catch (error) {
       return `
-        <div class="bg-red-50 rounded-lg border border-red-200 p-4">
+        <div class="bg-red-50 rounded-lg border border-red-200 p-4 ${selected}" data-secret-id="${secret.id}">
           <div class="flex items-center justify-between">
             <div>
-              <h3 class="font-medium text-red-800">${this.escapeHtml(secret.name)}</h3>
+              <h3 class="font-medium text-red-800">${PageUtils.escapeHtml(secret.name)}</h3>
               <p class="text-sm text-red-600">Invalid secret key</p>
             </div>
             <button class="text-red-400 hover:text-red-600 edit-secret" data-id="${secret.id}">
@@ -333,26 +693,279 @@ class UIController {
     }
   }
 
+  // A favorite from another site, shown in the current site's list
+  isOtherSite(secret) {
+    return !this.showingAll && !DomainMatcher.matches(secret, this.currentDomain);
+  }
+
+  renderTags(secret) {
+    if (!secret.tags || secret.tags.length === 0) return '';
+    
+    return `
+      <div class="flex flex-wrap mt-1">
+        ${secret.tags.map(tag => `
+          <button class="tag-chip bg-gray-100 hover:bg-gray-200 text-gray-600 text-xs px-2 rounded mr-1 mb-1" data-tag="${PageUtils.escapeHtml(tag)}" title="Show accounts tagged ${PageUtils.escapeHtml(tag)}">${PageUtils.escapeHtml(tag)}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Manual sorting: arrows to move the account within its list or group
+  renderMoveButtons(secret) {
+    if (this.listSettings.sortOrder !== 'manual' || this.searchQuery) return '';
+    
+    return `
+      <div class="flex flex-col mr-2 text-gray-300">
+        <button class="move-secret hover:text-gray-500 leading-none" data-id="${secret.id}" data-delta="-1" title="Move up (Alt+Up)">▴</button>
+        <button class="move-secret hover:text-gray-500 leading-none" data-id="${secret.id}" data-delta="1" title="Move down (Alt+Down)">▾</button>
+      </div>
+    `;
+  }
+
+  async handleSortChange() {
+    this.listSettings.sortOrder = this.sortOrder.value;
+    await StorageManager.saveSettings({ sortOrder: this.sortOrder.value });
+    this.renderSecrets();
+  }
+
+  async toggleGroup(key) {
+    const collapsed = this.listSettings.collapsedWebsites.includes(key)
+      ? this.listSettings.collapsedWebsites.filter(k => k !== key)
+      : [...this.listSettings.collapsedWebsites, key];
+    this.listSettings.collapsedWebsites = collapsed;
+    await StorageManager.saveSettings({ collapsedWebsites: collapsed });
+    this.renderSecrets();
+  }
+
+  // Swaps the account with its neighbour and saves the new manual order.
+  // Accounts that aren't listed keep their relative order after these.
+  async moveSecret(secretId, delta) {
+    if (this.listSettings.sortOrder !== 'manual' || this.searchQuery) return;
+    
+    const ids = this.orderedSecrets.map(secret => secret.id);
+    const index = ids.indexOf(secretId);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= ids.length) return;
+    if (this.showingAll && this.groupKey(this.orderedSecrets[index]) !== this.groupKey(this.orderedSecrets[target])) return;
+    
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    const accountOrder = [...ids, ...this.listSettings.accountOrder.filter(id => !ids.includes(id))];
+    this.listSettings.accountOrder = accountOrder;
+    await StorageManager.saveSettings({ accountOrder });
+    this.renderSecrets();
+  }
+
+  // Arrow keys select an account, Enter copies its code (or the first
+  // account's), "/" jumps to the search box and Escape clears it
+  async handleListKeydown(e) {
+    if (this.mainView.classList.contains('hidden') || this.currentSecrets.length === 0) return;
+    const inSearch = e.target === this.searchInput;
+    if (!inSearch && e.target !== document.body && e.target.tagName !== 'BUTTON') return;
+    
+    if (e.key === '/' && !inSearch) {
+      e.preventDefault();
+      this.searchInput.focus();
+    } else if (e.key === 'Escape' && inSearch && this.searchQuery) {
+      e.preventDefault();
+      this.searchInput.value = '';
+      this.searchQuery = '';
+      this.renderSecrets();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const delta = e.key === 'ArrowDown' ? 1 : -1;
+      if (e.altKey && this.selectedSecretId) {
+        await this.moveSecret(this.selectedSecretId, delta);
+      } else {
+        await this.moveSelection(delta);
+      }
+      this.totpList.querySelector(`[data-secret-id="${this.selectedSecretId}"]`)?.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter' && (inSearch || (e.target === document.body && this.selectedSecretId))) {
+      const secretId = this.selectedSecretId || this.visibleSecretIds[0];
+      if (!secretId) return;
+      e.preventDefault();
+      await this.copySecretCode(secretId);
+    }
+  }
+
+  async moveSelection(delta) {
+    const ids = this.visibleSecretIds;
+    if (ids.length === 0) return;
+    
+    const index = ids.indexOf(this.selectedSecretId);
+    const next = index < 0
+      ? (delta > 0 ? 0 : ids.length - 1)
+      : Math.min(Math.max(index + delta, 0), ids.length - 1);
+    this.selectedSecretId = ids[next];
+    await this.renderSecrets();
+  }
+
+  // Copies the account's code; HOTP accounts reveal their next code unless
+  // one is already showing. TOTP codes about to expire may be swapped for or
+  // wait for the next one (see StorageManager.generateCodeToUse).
+  async copySecretCode(secretId, code = null) {
+    try {
+      const secret = this.currentSecrets.find(s => s.id === secretId);
+      if (!secret) return;
+      
+      if (secret.type === 'hotp') {
+        code = code || this.revealedCodes[secretId] || await this.revealHOTPCode(secretId);
+      } else {
+        this.waitingSecretId = secretId;
+        try {
+          code = await StorageManager.generateCodeToUse(secret);
+        } finally {
+          this.waitingSecretId = null;
+        }
+      }
+      await navigator.clipboard.writeText(code);
+      this.usage[secretId] = Date.now();
+      await StorageManager.recordUsage(secretId);
+      
+      await this.renderSecrets();
+      const button = this.totpList.querySelector(`.copy-btn[data-id="${secretId}"]`);
+      if (button) {
+        button.textContent = 'Copied!';
+        button.classList.add('bg-green-100', 'text-green-700');
+      }
+    } catch (error) {
+      console.error('Failed to copy:', error);
+    }
+  }
+
+  // The pinned account is used by the paste shortcut without asking,
+  // so pinning only makes sense when the domain has several accounts
+  renderPinButton(secret) {
+    const siteSecrets = this.currentSecrets.filter(s => DomainMatcher.matches(s, this.currentDomain));
+    if (this.showingAll || this.isOtherSite(secret) || siteSecrets.length < 2) return '';
+    
+    const pinned = this.domainSettings.defaultSecretId === secret.id;
+    return `
+      <button class="pin-secret mr-2 ${pinned ? 'text-yellow-500' : 'text-gray-300 hover:text-gray-500'}" data-id="${secret.id}"
+        title="${pinned ? 'Default for the paste shortcut on this site (click to unpin)' : 'Use by default for the paste shortcut on this site'}">
+        <svg class="w-4 h-4" fill="${pinned ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+        </svg>
+      </button>
+    `;
+  }
+
+  async togglePinnedSecret(secretId) {
+    const defaultSecretId = this.domainSettings.defaultSecretId === secretId ? null : secretId;
+    await StorageManager.saveDomainSettings(this.currentDomain, { defaultSecretId });
+    this.domainSettings = { ...this.domainSettings, defaultSecretId };
+    this.renderSecrets();
+  }
+
+  async renderTOTPBody(secret) {
+    const period = secret.period || 30;
+    const time = StorageManager.codeTime(this.listSettings);
+    const totp = await TOTPGenerator.generateTOTP(
+      secret.secret, time, secret.digits || 6, period, secret.algorithm
+    );
+    
+    // The next code is shown during the current one's last seconds
+    let next = '';
+    if (totp.timeRemaining <= this.listSettings.nextCodeSeconds) {
+      const { code } = await TOTPGenerator.generateTOTP(
+        secret.secret, time + period, secret.digits || 6, period, secret.algorithm
+      );
+      next = `<div class="text-xs text-gray-500 mt-1">Next: <span class="font-mono">${code}</span></div>`;
+    }
+    
+    return `
+      <div class="flex items-center justify-between">
+        <div class="flex items-center space-x-3">
+          <span class="font-mono text-2xl font-bold text-blue-600">${totp.code}</span>
+          <button class="copy-btn bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm transition-colors" data-id="${secret.id}">
+            ${this.waitingSecretId === secret.id ? 'Waiting...' : 'Copy'}
+          </button>
+        </div>
+        <div class="text-right">
+          <div class="text-sm text-gray-500">${totp.timeRemaining}s</div>
+          <div class="w-16 h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div class="countdown-bar h-full bg-blue-500" style="width: ${totp.progress}%"></div>
+          </div>
+        </div>
+      </div>
+      ${next}
+    `;
+  }
+
+  // HOTP codes stay hidden until revealed, since revealing one uses up
+  // the counter value it was generated from.
+  renderHOTPBody(secret) {
+    if (!TOTPGenerator.validateSecret(secret.secret)) {
+      throw new Error('Invalid secret key');
+    }
+    
+    const code = this.revealedCodes[secret.id];
+    const masked = '•'.repeat(secret.digits || 6);
+    
+    return `
+      <div class="flex items-center justify-between">
+        <div class="flex items-center space-x-3">
+          <span class="font-mono text-2xl font-bold ${code ? 'text-blue-600' : 'text-gray-300'}">${code || masked}</span>
+          <button class="copy-btn bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm transition-colors" data-id="${secret.id}"${code ? ` data-code="${code}"` : ''}>
+            Copy
+          </button>
+        </div>
+        <div class="text-right">
+          <button class="next-code-btn text-sm text-blue-500 hover:text-blue-600" data-id="${secret.id}">Next code</button>
+          <div class="text-xs text-gray-400">Counter ${secret.counter || 0}</div>
+        </div>
+      </div>
+    `;
+  }
+
   bindSecretCardEvents() {
     // Copy buttons
     document.querySelectorAll('.copy-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.selectedSecretId = e.currentTarget.dataset.id;
+        this.copySecretCode(e.currentTarget.dataset.id, e.currentTarget.dataset.code);
+      });
+    });
+
+    // Website groups in Show All
+    document.querySelectorAll('.group-toggle').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.toggleGroup(e.currentTarget.dataset.group);
+      });
+    });
+
+    // Tags filter the list
+    document.querySelectorAll('.tag-chip').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.filterByTag(e.currentTarget.dataset.tag);
+      });
+    });
+
+    // Manual order
+    document.querySelectorAll('.move-secret').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.moveSecret(e.currentTarget.dataset.id, Number(e.currentTarget.dataset.delta));
+      });
+    });
+
+    // HOTP next code buttons
+    document.querySelectorAll('.next-code-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
-        const code = e.target.dataset.code;
         try {
-          await navigator.clipboard.writeText(code);
-          const originalText = e.target.textContent;
-          e.target.textContent = 'Copied!';
-          e.target.classList.add('bg-green-100', 'text-green-700');
-          setTimeout(() => {
-            e.target.textContent = originalText;
-            e.target.classList.remove('bg-green-100', 'text-green-700');
-          }, 1000);
+          await this.revealHOTPCode(e.currentTarget.dataset.id);
+          this.renderSecrets();
         } catch (error) {
-          console.error('Failed to copy:', error);
+          console.error('Failed to generate HOTP code:', error);
         }
       });
     });
 
+    // Default account for the paste shortcut
+    document.querySelectorAll('.pin-secret').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.togglePinnedSecret(e.currentTarget.dataset.id);
+      });
+    });
+
     // Edit buttons
     document.querySelectorAll('.edit-secret').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -362,6 +975,15 @@ class UIController {
     });
   }
 
+  async revealHOTPCode(secretId) {
+    const secret = this.currentSecrets.find(s => s.id === secretId);
+    const code = await StorageManager.useHOTPCode(secret);
+    
+    secret.counter = (secret.counter || 0) + 1;
+    this.revealedCodes[secretId] = code;
+    return code;
+  }
+
   startCountdownTimer() {
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
@@ -374,26 +996,39 @@ class UIController {
 
   showMainView() {
     this.editView.classList.add('hidden');
+    this.importView.classList.add('hidden');
+    this.settingsView.classList.add('hidden');
+    this.exportView.classList.add('hidden');
+    this.importPreview.clear();
+    this.pendingEncryptedImport = null;
     this.mainView.classList.remove('hidden');
     this.editingSecret = null;
     this.resetForm();
     this.loadSecrets();
   }
 
+  // Pass a secret with an id to edit it, or account fields without one
+  // to start a new secret pre-filled with them (e.g. from a QR code).
   showEditView(secret = null) {
+    this.hideError();
     this.mainView.classList.add('hidden');
     this.editView.classList.remove('hidden');
     
-    if (secret) {
+    if (secret?.id) {
       this.editingSecret = secret;
       this.editTitle.textContent = 'Edit Secret';
       this.deleteBtn.classList.remove('hidden');
       this.populateForm(secret);
+      this.renderHistory(secret.id);
     } else {
       this.editingSecret = null;
       this.editTitle.textContent = 'Add New Secret';
       this.deleteBtn.classList.add('hidden');
+      this.historySection.classList.add('hidden');
       this.resetForm();
+      if (secret) {
+        this.fillFromAccount(secret);
+      }
     }
   }
 
@@ -402,20 +1037,47 @@ class UIController {
     this.secretWebsite.value = secret.website;
     this.secretKey.value = secret.secret;
     this.secretIssuer.value = secret.issuer || '';
-    this.secretDigits.value = secret.digits || 6;
-    this.secretPeriod.value = secret.period || 30;
+    this.secretTags.value = (secret.tags || []).join(', ');
+    this.secretFavorite.checked = !!secret.favorite;
+    this.setSelectValue(this.secretDigits, secret.digits || 6);
+    this.setSelectValue(this.secretPeriod, secret.period || 30);
+    this.secretAlgorithm.value = secret.algorithm || 'SHA1';
+    this.secretType.value = secret.type || 'totp';
+    this.secretCounter.value = secret.counter || 0;
+    
+    const rules = DomainMatcher.normalizeRules(secret);
+    this.secretMatching.value = rules.matching;
+    this.secretExtraDomains.value = rules.extraDomains.join('\n');
+    this.secretPatterns.value = rules.patterns.join('\n');
+    this.updateTypeFields();
   }
 
   resetForm() {
     this.secretForm.reset();
     this.secretWebsite.value = this.currentDomain;
+    this.updateTypeFields();
     this.hideError();
   }
 
+  // Imported accounts may use values the form doesn't list, e.g. 7 digits
+  setSelectValue(select, value) {
+    const exists = Array.from(select.options).some(option => option.value === String(value));
+    if (!exists) {
+      select.add(new Option(String(value), String(value)));
+    }
+    select.value = String(value);
+  }
+
+  updateTypeFields() {
+    const isHOTP = this.secretType.value === 'hotp';
+    this.periodField.classList.toggle('hidden', isHOTP);
+    this.counterField.classList.toggle('hidden', !isHOTP);
+  }
+
   async handleFormSubmit(e) {
     e.preventDefault();
 
-    const website = this.secretWebsite.value.trim();
+    const website = DomainMatcher.normalizeHost(this.secretWebsite.value);
     
     const secret = {
       name: this.secretName.value.trim() || website,
@@ -424,7 +1086,16 @@ class UIController {
       issuer: this.secretIssuer.value.trim(),
       digits: parseInt(this.secretDigits.value),
       period: parseInt(this.secretPeriod.value),
-      algorithm: 'SHA1'
+      algorithm: this.secretAlgorithm.value,
+      type: this.secretType.value,
+      counter: Math.max(0, parseInt(this.secretCounter.value) || 0),
+      tags: StorageManager.normalizeTags(this.secretTags.value),
+      favorite: this.secretFavorite.checked,
+      ...DomainMatcher.normalizeRules({
+        matching: this.secretMatching.value,
+        extraDomains: this.secretExtraDomains.value,
+        patterns: this.secretPatterns.value
+      })
     };
 
     // Validation
@@ -433,6 +1104,11 @@ class UIController {
       return;
     }
 
+    if (secret.matching === 'domain' && !DomainMatcher.getRegistrableDomain(secret.website)) {
+      this.showError(`${secret.website} is shared by sites of different owners. Match only this exact host instead.`);
+      return;
+    }
+
     if (!TOTPGenerator.validateSecret(secret.secret)) {
       this.showError('Invalid secret key. Please check the Base32 format.');
       return;
@@ -451,17 +1127,113 @@ class UIController {
     }
   }
 
+  // Deleted secrets go to the trash, so there is an undo instead of a confirm
   async handleDelete() {
     if (!this.editingSecret) return;
     
-    if (confirm('Are you sure you want to delete this secret?')) {
-      try {
-        await StorageManager.deleteSecret(this.editingSecret.id, this.editingSecret.website);
-        this.showMainView();
-      } catch (error) {
-        console.error('Error deleting secret:', error);
-        this.showError('Failed to delete secret');
+    const { id, name } = this.editingSecret;
+    try {
+      await StorageManager.deleteSecrets([id]);
+      this.showMainView();
+      this.showUndoToast(`Deleted ${name}`, [id]);
+    } catch (error) {
+      console.error('Error deleting secret:', error);
+      this.showError('Failed to delete secret');
+    }
+  }
+
+  showUndoToast(message, secretIds) {
+    this.undoSecretIds = secretIds;
+    this.undoMessage.textContent = message;
+    this.undoToast.classList.remove('hidden');
+    clearTimeout(this.undoTimer);
+    this.undoTimer = setTimeout(() => this.undoToast.classList.add('hidden'), 10000);
+  }
+
+  async handleUndo() {
+    clearTimeout(this.undoTimer);
+    this.undoToast.classList.add('hidden');
+    try {
+      await StorageManager.restoreSecrets(this.undoSecretIds);
+      await this.loadSecrets();
+    } catch (error) {
+      console.error('Error restoring secret:', error);
+      this.showError('Failed to restore secret');
+    }
+  }
+
+  // Keys the account had before it was edited, newest first
+  async renderHistory(secretId) {
+    this.secretHistory = await StorageManager.getSecretHistory(secretId);
+    this.historySection.classList.toggle('hidden', this.secretHistory.length === 0);
+    this.historyList.innerHTML = this.secretHistory.map((entry, index) => `
+      <div class="flex items-center justify-between border border-gray-200 rounded px-2 py-1 text-xs">
+        <div>
+          <div class="font-mono text-gray-800">${PageUtils.escapeHtml(entry.secret.slice(0, 4))}…${PageUtils.escapeHtml(entry.secret.slice(-4))}</div>
+          <div class="text-gray-500">Replaced ${PageUtils.escapeHtml(new Date(entry.replacedAt).toLocaleString())}</div>
+        </div>
+        <button type="button" class="history-restore text-blue-500 hover:text-blue-600" data-index="${index}">Restore</button>
+      </div>
+    `).join('');
+  }
+
+  restoreHistoryEntry(index) {
+    const entry = this.secretHistory[index];
+    if (!entry) return;
+    
+    this.secretKey.value = entry.secret;
+    this.secretType.value = entry.type;
+    this.setSelectValue(this.secretDigits, entry.digits);
+    this.setSelectValue(this.secretPeriod, entry.period);
+    this.secretAlgorithm.value = entry.algorithm;
+    this.secretCounter.value = entry.counter;
+    this.updateTypeFields();
+  }
+
+  async renderTrash() {
+    const trash = await StorageManager.getTrash();
+    this.trashEmpty.classList.toggle('hidden', trash.length > 0);
+    this.emptyTrashBtn.classList.toggle('hidden', trash.length === 0);
+    this.trashList.innerHTML = trash.map(secret => `
+      <div class="flex items-center justify-between border border-gray-200 rounded px-2 py-1 text-sm">
+        <div class="min-w-0 mr-2">
+          <div class="text-gray-800 truncate">${PageUtils.escapeHtml(secret.name)}</div>
+          <div class="text-xs text-gray-500 truncate">${PageUtils.escapeHtml(secret.website)} · deleted ${PageUtils.escapeHtml(new Date(secret.deletedAt).toLocaleDateString())}</div>
+        </div>
+        <div class="flex space-x-2 text-xs">
+          <button class="trash-restore text-blue-500 hover:text-blue-600" data-id="${PageUtils.escapeHtml(secret.id)}">Restore</button>
+          <button class="trash-delete text-red-600 hover:text-red-700" data-id="${PageUtils.escapeHtml(secret.id)}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async handleTrashClick(e) {
+    const button = e.target.closest('.trash-restore, .trash-delete');
+    if (!button) return;
+    
+    try {
+      if (button.classList.contains('trash-restore')) {
+        await StorageManager.restoreSecrets([button.dataset.id]);
+      } else if (confirm('Delete this account for good? It cannot be restored.')) {
+        await StorageManager.emptyTrash([button.dataset.id]);
       }
+      await this.renderTrash();
+    } catch (error) {
+      console.error('Error updating trash:', error);
+      this.showError('Failed to update the trash');
+    }
+  }
+
+  async handleEmptyTrash() {
+    if (!confirm('Delete every account in the trash for good? They cannot be restored.')) return;
+    
+    try {
+      await StorageManager.emptyTrash();
+      await this.renderTrash();
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      this.showError('Failed to empty the trash');
     }
   }
 
@@ -472,6 +1244,270 @@ class UIController {
     }
   }
 
+  handleUriInput(input) {
+    const value = input.value.trim();
+    
+    if (MigrationPayload.isMigrationUri(value)) {
+      input.value = '';
+      this.importMigrationUris([value]);
+      return;
+    }
+    
+    if (!OtpAuthUri.isOtpAuthUri(value)) return;
+    
+    if (this.applyOtpAuthUri(value)) {
+      this.otpauthUri.value = '';
+    }
+  }
+
+  applyOtpAuthUri(uri) {
+    try {
+      const account = OtpAuthUri.parse(uri);
+      this.fillFromAccount({
+        ...account,
+        website: OtpAuthUri.guessWebsite(account.issuer, this.currentDomain)
+      });
+      this.hideError();
+      return true;
+    } catch (error) {
+      this.showError(error.message);
+      return false;
+    }
+  }
+
+  fillFromAccount(account) {
+    this.populateForm(account);
+    
+    // Reveal non-default settings so the user can review them
+    const isDefault = account.type === 'totp' && account.digits === 6 &&
+      account.period === 30 && account.algorithm === 'SHA1' &&
+      !account.extraDomains?.length && !account.patterns?.length;
+    if (!isDefault && this.advancedOptions.classList.contains('hidden')) {
+      this.toggleAdvancedOptions();
+    }
+  }
+
+  async handleScanPage() {
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+      const screenshot = await (await fetch(dataUrl)).blob();
+      const results = await QRDecoder.decodeImage(screenshot);
+      
+      const migrations = results.filter(text => MigrationPayload.isMigrationUri(text));
+      if (migrations.length > 0) {
+        await this.importMigrationUris(migrations);
+        return;
+      }
+      
+      const uri = results.find(text => OtpAuthUri.isOtpAuthUri(text));
+      if (!uri) {
+        this.showError('No otpauth QR code found on this page');
+        return;
+      }
+      
+      // The code may be for another site than the page showing it, so the
+      // page's domain is only used when the issuer names it
+      const account = OtpAuthUri.parse(uri);
+      const website = OtpAuthUri.guessWebsite(account.issuer, this.currentDomain);
+      this.showEditView({ ...account, website });
+      if (!website) {
+        this.secretWebsite.focus();
+      }
+    } catch (error) {
+      console.error('Error scanning page:', error);
+      this.showError('Failed to scan this page: ' + error.message);
+    }
+  }
+
+  async handleQRFile(e) {
+    const files = Array.from(e.target.files);
+    this.qrFile.value = '';
+    if (files.length > 0) {
+      await this.scanQRImages(files);
+    }
+  }
+
+  async handleQRDrop(e) {
+    e.preventDefault();
+    this.qrDropZone.classList.remove('border-blue-400', 'bg-blue-50');
+    
+    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith('image/'));
+    if (files.length > 0) {
+      await this.scanQRImages(files);
+      return;
+    }
+    
+    const text = e.dataTransfer.getData('text/plain').trim();
+    if (OtpAuthUri.isOtpAuthUri(text)) {
+      this.applyOtpAuthUri(text);
+    }
+  }
+
+  async handleQRPaste(e) {
+    const item = Array.from(e.clipboardData.items).find(i => i.type.startsWith('image/'));
+    if (!item) return;
+    
+    e.preventDefault();
+    await this.scanQRImages([item.getAsFile()]);
+  }
+
+  async scanQRImages(blobs) {
+    try {
+      const results = [];
+      for (const blob of blobs) {
+        results.push(...await QRDecoder.decodeImage(blob));
+      }
+      
+      if (results.length === 0) {
+        this.showError('No QR code found in the image');
+        return;
+      }
+      
+      const migrations = results.filter(text => MigrationPayload.isMigrationUri(text));
+      if (migrations.length > 0) {
+        await this.importMigrationUris(migrations);
+        return;
+      }
+      
+      const uri = results.find(text => OtpAuthUri.isOtpAuthUri(text));
+      if (!uri) {
+        this.showError('The QR code does not contain an otpauth:// URI');
+        return;
+      }
+      
+      this.applyOtpAuthUri(uri);
+    } catch (error) {
+      console.error('Error scanning QR code:', error);
+      this.showError('Failed to read the QR code image');
+    }
+  }
+
+  // Imports Google Authenticator export QR codes. Batch progress is kept in
+  // session storage so the remaining codes can be scanned after the popup closes.
+  async importMigrationUris(uris) {
+    const imported = [];
+    const needsWebsite = [];
+    const skipped = [];
+    const invalid = [];
+    const touchedBatches = new Set();
+    
+    try {
+      const { migrationBatches = {} } = await chrome.storage.session.get('migrationBatches');
+      const existing = await StorageManager.getAllSecrets();
+      // Exports without a batch id can't be told apart, so their codes only
+      // count as one batch within this scan
+      const scanKey = `scan-${Date.now()}`;
+      
+      for (const uri of uris) {
+        let payload;
+        try {
+          payload = MigrationPayload.decode(uri);
+        } catch (error) {
+          invalid.push({ name: 'QR code', issuer: '', reason: error.message });
+          continue;
+        }
+        
+        const batchKey = payload.batchId ? String(payload.batchId) : scanKey;
+        const batch = migrationBatches[batchKey] || { size: payload.batchSize, received: [] };
+        migrationBatches[batchKey] = batch;
+        touchedBatches.add(batchKey);
+        
+        if (batch.received.includes(payload.batchIndex)) {
+          payload.accounts.forEach(account => skipped.push({
+            ...account,
+            reason: `Already imported (batch ${payload.batchIndex + 1} of ${batch.size})`
+          }));
+          continue;
+        }
+        batch.received.push(payload.batchIndex);
+        invalid.push(...payload.skipped);
+        
+        // An export holds accounts for many sites, none of them known to be
+        // the open tab's, so those without a domain as issuer are asked about
+        for (const account of payload.accounts) {
+          const website = OtpAuthUri.guessWebsite(account.issuer);
+          
+          // Scanning the same export again must not double the accounts
+          if (StorageManager.findExistingAccount(account, existing)?.sameKey) {
+            skipped.push({ ...account, website, reason: 'Already saved' });
+            continue;
+          }
+          if (!website) {
+            needsWebsite.push({ ...account, name: account.name || account.issuer, website });
+            continue;
+          }
+          
+          await StorageManager.saveSecret({ ...account, website });
+          imported.push({ ...account, website });
+        }
+      }
+      
+      await chrome.storage.session.set({ migrationBatches });
+      
+      const notices = Array.from(touchedBatches)
+        .map(key => migrationBatches[key])
+        .filter(batch => batch.received.length < batch.size)
+        .map(batch => {
+          const missing = [];
+          for (let i = 0; i < batch.size; i++) {
+            if (!batch.received.includes(i)) missing.push(i + 1);
+          }
+          return `Imported ${batch.received.length} of ${batch.size} export QR codes. ` +
+            `Scan code${missing.length !== 1 ? 's' : ''} ${missing.join(', ')} to finish.`;
+        });
+      
+      if (needsWebsite.length > 0) {
+        await this.showImportPreview({
+          formatName: 'Google Authenticator export',
+          accounts: needsWebsite,
+          skipped: invalid
+        });
+        this.importSummary.textContent = `Imported ${imported.length}. ` +
+          `Enter the website for the other ${needsWebsite.length} account${needsWebsite.length !== 1 ? 's' : ''} to import ${needsWebsite.length !== 1 ? 'them' : 'it'}.`;
+        this.importBatchNotice.textContent = notices.join(' ');
+        this.importBatchNotice.classList.toggle('hidden', notices.length === 0);
+        return;
+      }
+      
+      this.showImportResults({ added: imported, skipped, invalid }, notices);
+    } catch (error) {
+      console.error('Error importing migration payload:', error);
+      this.showError('Failed to import Google Authenticator export: ' + error.message);
+    }
+  }
+
+  showImportView(title) {
+    this.mainView.classList.add('hidden');
+    this.editView.classList.add('hidden');
+    this.importView.classList.remove('hidden');
+    this.importTitle.textContent = title;
+    this.importPasswordForm.classList.add('hidden');
+  }
+
+  async showImportPreview(result) {
+    this.showImportView('Import Preview');
+    this.importBatchNotice.classList.add('hidden');
+    this.importDoneBtn.classList.add('hidden');
+    await this.importPreview.show(result);
+  }
+
+  async handleConfirmImport() {
+    const summary = await this.importPreview.confirm();
+    if (summary) {
+      this.showImportResults(summary);
+    }
+  }
+
+  // summary: see ImportPreview.showResults; notices are about unfinished
+  // Google Authenticator exports
+  showImportResults(summary, notices = []) {
+    this.showImportView('Import Results');
+    this.importDoneBtn.classList.remove('hidden');
+    this.importBatchNotice.textContent = notices.join(' ');
+    this.importBatchNotice.classList.toggle('hidden', notices.length === 0);
+    this.importPreview.showResults(summary);
+  }
+
   toggleAdvancedOptions() {
     const isHidden = this.advancedOptions.classList.contains('hidden');
     
@@ -484,18 +1520,33 @@ class UIController {
     }
   }
 
+  showExportView() {
+    this.hideError();
+    this.mainView.classList.add('hidden');
+    this.exportView.classList.remove('hidden');
+    this.exportForm.reset();
+    this.exportPassword.focus();
+  }
+
+  async handleEncryptedExport(e) {
+    e.preventDefault();
+    this.hideError();
+    
+    this.exportEncryptedBtn.disabled = true;
+    try {
+      await PageUtils.downloadEncryptedBackup(this.exportPassword.value, this.exportConfirmPassword.value);
+      this.showMainView();
+    } catch (error) {
+      console.error('Error exporting secrets:', error);
+      this.showError(error.message);
+    } finally {
+      this.exportEncryptedBtn.disabled = false;
+    }
+  }
+
   async handleExport() {
     try {
-      const jsonData = await StorageManager.exportSecrets();
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `totp-secrets-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      
-      URL.revokeObjectURL(url);
+      PageUtils.downloadBackup(await StorageManager.exportSecrets());
     } catch (error) {
       console.error('Error exporting secrets:', error);
       this.showError('Failed to export secrets');
@@ -505,6 +1556,9 @@ class UIController {
   async handleShowAll() {
     try {
       this.currentSecrets =  await StorageManager.getAllSecrets();
+      this.showingAll = true;
+      this.selectedSecretId = null;
+      this.renderTagFilter();
       this.renderSecrets();
     } catch (error) {
       console.error('Error showing all secrets:', error);
@@ -518,20 +1572,16 @@ class UIController {
 
     try {
       const text = await file.text();
-      await StorageManager.importSecrets(text);
-      await this.loadSecrets();
       
       // Reset file input
       this.importFile.value = '';
       
-      // Show success message
-      const originalText = this.importBtn.textContent;
-      this.importBtn.textContent = 'Imported!';
-      this.importBtn.style.color = '#10b981';
-      setTimeout(() => {
-        this.importBtn.textContent = originalText;
-        this.importBtn.style.color = '';
-      }, 2000);
+      if (this.isEncryptedExport(text)) {
+        this.showImportPasswordPrompt(JSON.parse(text));
+        return;
+      }
+      
+      await this.showImportPreview(ImportParser.parse(text));
     } catch (error) {
       console.error('Error importing secrets:', error);
       this.showError('Failed to import secrets: ' + error.message);
@@ -539,20 +1589,69 @@ class UIController {
     }
   }
 
+  isEncryptedExport(text) {
+    try {
+      return EncryptedExport.isEncryptedExport(JSON.parse(text));
+    } catch {
+      return false;
+    }
+  }
+
+  showImportPasswordPrompt(envelope) {
+    this.pendingEncryptedImport = envelope;
+    this.showImportView('Encrypted Backup');
+    this.importSummary.textContent = 'This backup is protected with a password.';
+    this.importBatchNotice.classList.add('hidden');
+    this.importPreview.clear();
+    this.importDoneBtn.classList.add('hidden');
+    this.importPasswordError.classList.add('hidden');
+    this.importPasswordForm.reset();
+    this.importPasswordForm.classList.remove('hidden');
+    this.importPassword.focus();
+  }
+
+  async handleDecryptImport(e) {
+    e.preventDefault();
+    if (!this.pendingEncryptedImport) return;
+    
+    this.importPasswordError.classList.add('hidden');
+    this.importDecryptBtn.disabled = true;
+    this.importDecryptBtn.textContent = 'Decrypting...';
+    
+    try {
+      const text = await EncryptedExport.decrypt(this.pendingEncryptedImport, this.importPassword.value);
+      this.pendingEncryptedImport = null;
+      await this.showImportPreview(ImportParser.parse(text));
+    } catch (error) {
+      this.importPasswordError.textContent = error.message;
+      this.importPasswordError.classList.remove('hidden');
+      this.importPassword.select();
+    } finally {
+      this.importDecryptBtn.disabled = false;
+      this.importDecryptBtn.textContent = 'Decrypt';
+    }
+  }
+
+  // Errors show in whichever view is visible
   showError(message) {
-    this.errorMessage.textContent = message;
-    this.errorMessage.classList.remove('hidden');
+    let errorEl = this.mainErrorMessage;
+    if (!this.editView.classList.contains('hidden')) {
+      errorEl = this.errorMessage;
+    } else if (!this.settingsView.classList.contains('hidden')) {
+      errorEl = this.settingsError;
+    } else if (!this.exportView.classList.contains('hidden')) {
+      errorEl = this.exportError;
+    }
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
     setTimeout(() => this.hideError(), 5000);
   }
 
   hideError() {
     this.errorMessage.classList.add('hidden');
-  }
-
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    this.mainErrorMessage.classList.add('hidden');
+    this.settingsError.classList.add('hidden');
+    this.exportError.classList.add('hidden');
   }
 
   destroy() {
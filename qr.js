@@ -0,0 +1,919 @@
+// QR code decoder
+// Runs entirely inside the extension so scanned secrets never leave the
+// browser. Supports versions 1-40 with numeric, alphanumeric, byte and kanji
+// segments, which covers every otpauth:// code we have seen in the wild.
+
+// Blocks and EC codewords per block for each version, in L, M, Q, H order
+const QR_EC_BLOCKS = [
+  1, 7, 1, 10, 1, 13, 1, 17,
+  1, 10, 1, 16, 1, 22, 1, 28,
+  1, 15, 1, 26, 2, 18, 2, 22,
+  1, 20, 2, 18, 2, 26, 4, 16,
+  1, 26, 2, 24, 4, 18, 4, 22,
+  2, 18, 4, 16, 4, 24, 4, 28,
+  2, 20, 4, 18, 6, 18, 5, 26,
+  2, 24, 4, 22, 6, 22, 6, 26,
+  2, 30, 5, 22, 8, 20, 8, 24,
+  4, 18, 5, 26, 8, 24, 8, 28,
+  4, 20, 5, 30, 8, 28, 11, 24,
+  4, 24, 8, 22, 10, 26, 11, 28,
+  4, 26, 9, 22, 12, 24, 16, 22,
+  4, 30, 9, 24, 16, 20, 16, 24,
+  6, 22, 10, 24, 12, 30, 18, 24,
+  6, 24, 10, 28, 17, 24, 16, 30,
+  6, 28, 11, 28, 16, 28, 19, 28,
+  6, 30, 13, 26, 18, 28, 21, 28,
+  7, 28, 14, 26, 21, 26, 25, 26,
+  8, 28, 16, 26, 20, 30, 25, 28,
+  8, 28, 17, 26, 23, 28, 25, 30,
+  9, 28, 17, 28, 23, 30, 34, 24,
+  9, 30, 18, 28, 25, 30, 30, 30,
+  10, 30, 20, 28, 27, 30, 32, 30,
+  12, 26, 21, 28, 29, 30, 35, 30,
+  12, 28, 23, 28, 34, 28, 37, 30,
+  12, 30, 25, 28, 34, 30, 40, 30,
+  13, 30, 26, 28, 35, 30, 42, 30,
+  14, 30, 28, 28, 38, 30, 45, 30,
+  15, 30, 29, 28, 40, 30, 48, 30,
+  16, 30, 31, 28, 43, 30, 51, 30,
+  17, 30, 33, 28, 45, 30, 54, 30,
+  18, 30, 35, 28, 48, 30, 57, 30,
+  19, 30, 37, 28, 51, 30, 60, 30,
+  19, 30, 38, 28, 53, 30, 63, 30,
+  20, 30, 40, 28, 56, 30, 66, 30,
+  21, 30, 43, 28, 59, 30, 70, 30,
+  22, 30, 45, 28, 62, 30, 74, 30,
+  24, 30, 47, 28, 65, 30, 77, 30,
+  25, 30, 49, 28, 68, 30, 81, 30
+];
+
+// Format info bits store M, L, H, Q as 0-3; the table above is L, M, Q, H
+const QR_EC_LEVEL_INDEX = [1, 0, 3, 2];
+
+const QR_ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Bit grid used for both the binarized image and the sampled symbol
+class QRBitMatrix {
+  constructor(width, height = width) {
+    this.width = width;
+    this.height = height;
+    this.bits = new Uint8Array(width * height);
+  }
+
+  get(x, y) {
+    return this.bits[y * this.width + x] === 1;
+  }
+
+  set(x, y, value = true) {
+    this.bits[y * this.width + x] = value ? 1 : 0;
+  }
+
+  setRegion(left, top, width, height) {
+    for (let y = top; y < top + height; y++) {
+      for (let x = left; x < left + width; x++) {
+        this.set(x, y);
+      }
+    }
+  }
+}
+
+// Reed-Solomon error correction over GF(256) with the QR polynomial 0x11d
+class QRReedSolomon {
+  static init() {
+    if (this.exp) return;
+    this.exp = new Uint8Array(512);
+    this.log = new Uint8Array(256);
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+      this.exp[i] = x;
+      this.log[x] = i;
+      x <<= 1;
+      if (x & 0x100) x ^= 0x11d;
+    }
+    for (let i = 255; i < 512; i++) {
+      this.exp[i] = this.exp[i - 255];
+    }
+  }
+
+  static mul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return this.exp[this.log[a] + this.log[b]];
+  }
+
+  static div(a, b) {
+    if (b === 0) throw new Error('Division by zero');
+    if (a === 0) return 0;
+    return this.exp[(this.log[a] + 255 - this.log[b]) % 255];
+  }
+
+  // Evaluates a polynomial stored lowest degree first
+  static evaluate(poly, x) {
+    let result = 0;
+    for (let i = poly.length - 1; i >= 0; i--) {
+      result = this.mul(result, x) ^ poly[i];
+    }
+    return result;
+  }
+
+  // Corrects `codewords` (data followed by EC bytes) in place.
+  // Returns false when there are more errors than the block can repair.
+  static correct(codewords, ecCount) {
+    this.init();
+    const n = codewords.length;
+
+    const syndromes = new Array(ecCount);
+    let hasErrors = false;
+    for (let i = 0; i < ecCount; i++) {
+      let value = 0;
+      for (let k = 0; k < n; k++) {
+        value = this.mul(value, this.exp[i]) ^ codewords[k];
+      }
+      syndromes[i] = value;
+      if (value !== 0) hasErrors = true;
+    }
+    if (!hasErrors) return true;
+
+    // Berlekamp-Massey: find the error locator polynomial
+    let locator = [1];
+    let previous = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+
+    for (let step = 0; step < ecCount; step++) {
+      let discrepancy = syndromes[step];
+      for (let i = 1; i <= errors; i++) {
+        discrepancy ^= this.mul(locator[i] || 0, syndromes[step - i]);
+      }
+
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+
+      const coefficient = this.div(discrepancy, lastDiscrepancy);
+      const updated = locator.slice();
+      for (let i = 0; i < previous.length; i++) {
+        updated[i + shift] = (updated[i + shift] || 0) ^ this.mul(coefficient, previous[i]);
+      }
+
+      if (2 * errors <= step) {
+        previous = locator;
+        errors = step + 1 - errors;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = updated;
+    }
+
+    if (2 * errors > ecCount) return false;
+
+    // Chien search: error at power p when locator(a^-p) == 0
+    const positions = [];
+    for (let power = 0; power < n; power++) {
+      const inverse = this.exp[(255 - power) % 255];
+      if (this.evaluate(locator, inverse) === 0) {
+        positions.push(power);
+      }
+    }
+    if (positions.length !== errors) return false;
+
+    // Forney: error magnitudes from the evaluator polynomial
+    const evaluator = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+      for (let j = 0; j <= i && j < locator.length; j++) {
+        evaluator[i] ^= this.mul(syndromes[i - j], locator[j] || 0);
+      }
+    }
+    const derivative = [];
+    for (let i = 1; i < locator.length; i++) {
+      derivative.push(i % 2 === 1 ? (locator[i] || 0) : 0);
+    }
+
+    for (const power of positions) {
+      const location = this.exp[power];
+      const inverse = this.exp[(255 - power) % 255];
+      const denominator = this.evaluate(derivative, inverse);
+      if (denominator === 0) return false;
+      const magnitude = this.mul(location, this.div(this.evaluate(evaluator, inverse), denominator));
+      codewords[n - 1 - power] ^= magnitude;
+    }
+
+    return true;
+  }
+}
+
+class QRDecoder {
+  // Decodes the first QR code found in an ImageData-like object
+  static decode(imageData) {
+    const [first] = this.decodeAll(imageData, 1);
+    return first || null;
+  }
+
+  // Decodes every QR code in an image Blob (file upload, paste or screenshot)
+  static async decodeImage(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    return this.decodeAll(context.getImageData(0, 0, canvas.width, canvas.height));
+  }
+
+  // Decodes every QR code found, e.g. several codes in one screenshot
+  static decodeAll(imageData, limit = Infinity) {
+    const image = this.binarize(imageData);
+    const patterns = this.findFinderPatterns(image);
+    const results = [];
+    const used = new Set();
+
+    for (const [a, b, c] of this.candidateTriples(patterns)) {
+      if (used.has(a) || used.has(b) || used.has(c)) continue;
+
+      const text = this.decodeSymbol(image, a, b, c);
+      if (text === null) continue;
+
+      used.add(a).add(b).add(c);
+      if (!results.includes(text)) {
+        results.push(text);
+      }
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  // Hybrid local thresholding over 8x8 blocks, which copes with
+  // gradients and anti-aliased screenshots better than a global cut-off.
+  static binarize({ data, width, height }) {
+    const luminance = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      const a = data[i * 4 + 3];
+      // Transparent pixels count as white background
+      const gray = (r * 299 + g * 587 + b * 114) / 1000;
+      luminance[i] = Math.round(gray * a / 255 + 255 * (1 - a / 255));
+    }
+
+    const blockSize = 8;
+    const blocksX = Math.ceil(width / blockSize);
+    const blocksY = Math.ceil(height / blockSize);
+    const averages = new Float32Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        let min = 255;
+        let max = 0;
+        for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+          for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+            const value = luminance[y * width + x];
+            sum += value;
+            count++;
+            if (value < min) min = value;
+            if (value > max) max = value;
+          }
+        }
+
+        let average = sum / count;
+        if (max - min <= 24) {
+          // Flat block: assume it is background unless neighbours say otherwise
+          average = min / 2;
+          if (by > 0 && bx > 0) {
+            const neighbours = (
+              averages[(by - 1) * blocksX + bx] +
+              2 * averages[by * blocksX + bx - 1] +
+              averages[(by - 1) * blocksX + bx - 1]
+            ) / 4;
+            if (min < neighbours) average = neighbours;
+          }
+        }
+        averages[by * blocksX + bx] = average;
+      }
+    }
+
+    const image = new QRBitMatrix(width, height);
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            const ny = Math.min(blocksY - 1, Math.max(0, by + dy));
+            const nx = Math.min(blocksX - 1, Math.max(0, bx + dx));
+            sum += averages[ny * blocksX + nx];
+            count++;
+          }
+        }
+        const threshold = sum / count;
+
+        for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+          for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+            if (luminance[y * width + x] <= threshold) {
+              image.set(x, y);
+            }
+          }
+        }
+      }
+    }
+
+    return image;
+  }
+
+  static isFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 7) return false;
+
+    const moduleSize = total / 7;
+    const variance = moduleSize / 1.5;
+    return (
+      Math.abs(counts[0] - moduleSize) < variance &&
+      Math.abs(counts[1] - moduleSize) < variance &&
+      Math.abs(counts[2] - 3 * moduleSize) < 3 * variance &&
+      Math.abs(counts[3] - moduleSize) < variance &&
+      Math.abs(counts[4] - moduleSize) < variance
+    );
+  }
+
+  // Walks outwards from a center along one axis and returns the five run
+  // lengths of a finder pattern, or null when the pattern is broken.
+  static crossCheck(image, x, y, dx, dy, maxCount) {
+    const inBounds = (px, py) => px >= 0 && py >= 0 && px < image.width && py < image.height;
+    const counts = [0, 0, 0, 0, 0];
+
+    let px = x;
+    let py = y;
+    const walk = (index, dark, sign) => {
+      while (inBounds(px, py) && image.get(px, py) === dark && counts[index] <= maxCount) {
+        counts[index]++;
+        px += dx * sign;
+        py += dy * sign;
+      }
+    };
+
+    walk(2, true, -1);
+    walk(1, false, -1);
+    walk(0, true, -1);
+    const start = { x: px, y: py };
+
+    px = x + dx;
+    py = y + dy;
+    walk(2, true, 1);
+    walk(3, false, 1);
+    walk(4, true, 1);
+
+    if (counts.some(count => count === 0 || count > maxCount)) return null;
+    return { counts, start };
+  }
+
+  static findFinderPatterns(image) {
+    const patterns = [];
+
+    for (let y = 0; y < image.height; y++) {
+      const runs = [];
+      let start = 0;
+      for (let x = 1; x <= image.width; x++) {
+        if (x === image.width || image.get(x, y) !== image.get(start, y)) {
+          runs.push({ dark: image.get(start, y), start, length: x - start });
+          start = x;
+        }
+      }
+
+      for (let i = 0; i + 4 < runs.length; i++) {
+        if (!runs[i].dark) continue;
+
+        const counts = runs.slice(i, i + 5).map(run => run.length);
+        if (!this.isFinderRatio(counts)) continue;
+
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const centerX = Math.floor(runs[i + 2].start + runs[i + 2].length / 2);
+        const pattern = this.confirmFinderPattern(image, centerX, y, total);
+        if (pattern) {
+          this.addFinderPattern(patterns, pattern);
+        }
+      }
+    }
+
+    return patterns.filter(pattern => pattern.count >= 2);
+  }
+
+  static confirmFinderPattern(image, x, y, total) {
+    const vertical = this.crossCheck(image, x, y, 0, 1, total);
+    if (!vertical || !this.isFinderRatio(vertical.counts)) return null;
+
+    const verticalTotal = vertical.counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(verticalTotal - total) >= 2 * total) return null;
+    const centerY = vertical.start.y + 1 + vertical.counts[0] + vertical.counts[1] + vertical.counts[2] / 2;
+
+    const horizontal = this.crossCheck(image, x, Math.floor(centerY), 1, 0, total);
+    if (!horizontal || !this.isFinderRatio(horizontal.counts)) return null;
+
+    const horizontalTotal = horizontal.counts.reduce((sum, count) => sum + count, 0);
+    const centerX = horizontal.start.x + 1 + horizontal.counts[0] + horizontal.counts[1] + horizontal.counts[2] / 2;
+
+    return {
+      x: centerX,
+      y: centerY,
+      moduleSize: (horizontalTotal + verticalTotal) / 14
+    };
+  }
+
+  static addFinderPattern(patterns, candidate) {
+    for (const pattern of patterns) {
+      const sizeDiff = Math.abs(pattern.moduleSize - candidate.moduleSize);
+      if (
+        Math.abs(pattern.x - candidate.x) <= pattern.moduleSize &&
+        Math.abs(pattern.y - candidate.y) <= pattern.moduleSize &&
+        (sizeDiff <= 1 || sizeDiff <= pattern.moduleSize)
+      ) {
+        const count = pattern.count;
+        pattern.x = (pattern.x * count + candidate.x) / (count + 1);
+        pattern.y = (pattern.y * count + candidate.y) / (count + 1);
+        pattern.moduleSize = (pattern.moduleSize * count + candidate.moduleSize) / (count + 1);
+        pattern.count++;
+        return;
+      }
+    }
+    patterns.push({ ...candidate, count: 1 });
+  }
+
+  // Returns plausible (top-left, top-right, bottom-left) triples, best first
+  static candidateTriples(patterns) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const pool = patterns
+      .slice()
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 24);
+    const triples = [];
+
+    for (let i = 0; i < pool.length; i++) {
+      for (let j = i + 1; j < pool.length; j++) {
+        for (let k = j + 1; k < pool.length; k++) {
+          const points = [pool[i], pool[j], pool[k]];
+          const sizes = points.map(p => p.moduleSize);
+          if (Math.max(...sizes) / Math.min(...sizes) > 1.5) continue;
+
+          // The top-left pattern is opposite the longest side
+          const sides = [
+            { corner: 0, length: distance(points[1], points[2]) },
+            { corner: 1, length: distance(points[0], points[2]) },
+            { corner: 2, length: distance(points[0], points[1]) }
+          ].sort((a, b) => b.length - a.length);
+
+          const topLeft = points[sides[0].corner];
+          let [topRight, bottomLeft] = points.filter(p => p !== topLeft);
+          const legA = distance(topLeft, topRight);
+          const legB = distance(topLeft, bottomLeft);
+          const moduleSize = (sizes[0] + sizes[1] + sizes[2]) / 3;
+
+          if (Math.min(legA, legB) / Math.max(legA, legB) < 0.7) continue;
+          if (Math.min(legA, legB) / moduleSize < 10) continue;
+
+          const hypotenuse = sides[0].length;
+          const expected = Math.hypot(legA, legB);
+          const skew = Math.abs(hypotenuse - expected) / expected;
+          if (skew > 0.15) continue;
+
+          // Orient so that top-right really is to the right in image space
+          const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+            (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+          if (cross < 0) {
+            [topRight, bottomLeft] = [bottomLeft, topRight];
+          }
+
+          triples.push({
+            points: [topLeft, topRight, bottomLeft],
+            score: skew + Math.abs(legA - legB) / Math.max(legA, legB)
+          });
+        }
+      }
+    }
+
+    return triples.sort((a, b) => a.score - b.score).map(t => t.points);
+  }
+
+  static decodeSymbol(image, topLeft, topRight, bottomLeft) {
+    const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+    const widthModules = Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) / moduleSize;
+    const heightModules = Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y) / moduleSize;
+    let dimension = Math.round((widthModules + heightModules) / 2) + 7;
+
+    switch (dimension & 3) {
+      case 0: dimension++; break;
+      case 2: dimension--; break;
+      case 3: dimension -= 2; break;
+    }
+
+    const farCorner = {
+      x: topRight.x + bottomLeft.x - topLeft.x,
+      y: topRight.y + bottomLeft.y - topLeft.y
+    };
+
+    for (const candidate of [dimension, dimension + 4, dimension - 4]) {
+      if (candidate < 21 || candidate > 177) continue;
+
+      // Prefer the bottom-right alignment pattern as the fourth corner since
+      // it absorbs perspective; fall back to completing the parallelogram.
+      const corners = [];
+      if (candidate > 21) {
+        const shift = 3 / (candidate - 7);
+        const estimate = {
+          x: farCorner.x - shift * (farCorner.x - topLeft.x),
+          y: farCorner.y - shift * (farCorner.y - topLeft.y)
+        };
+        for (const alignment of this.findAlignmentPatterns(image, estimate, moduleSize)) {
+          corners.push({ ...alignment, module: candidate - 6.5 });
+        }
+      }
+      corners.push({ ...farCorner, module: candidate - 3.5 });
+
+      for (const bottomRight of corners) {
+        try {
+          const grid = this.sampleGrid(image, topLeft, topRight, bottomLeft, bottomRight, candidate);
+          const text = this.decodeGrid(grid);
+          if (text !== null) return text;
+        } catch {
+          // Try the next estimate
+        }
+      }
+    }
+
+    return null;
+  }
+
+  static sampleGrid(image, topLeft, topRight, bottomLeft, bottomRight, dimension) {
+    const transform = this.perspectiveTransform(
+      [
+        [3.5, 3.5],
+        [dimension - 3.5, 3.5],
+        [bottomRight.module, bottomRight.module],
+        [3.5, dimension - 3.5]
+      ],
+      [
+        [topLeft.x, topLeft.y],
+        [topRight.x, topRight.y],
+        [bottomRight.x, bottomRight.y],
+        [bottomLeft.x, bottomLeft.y]
+      ]
+    );
+
+    const grid = new QRBitMatrix(dimension);
+    for (let y = 0; y < dimension; y++) {
+      for (let x = 0; x < dimension; x++) {
+        const [px, py] = transform(x + 0.5, y + 0.5);
+        const ix = Math.floor(px);
+        const iy = Math.floor(py);
+        if (ix < 0 || iy < 0 || ix >= image.width || iy >= image.height) {
+          throw new Error('Symbol extends outside the image');
+        }
+        if (image.get(ix, iy)) grid.set(x, y);
+      }
+    }
+
+    return grid;
+  }
+
+  // Looks for alignment pattern centers near `estimate`, closest first
+  static findAlignmentPatterns(image, estimate, moduleSize, limit = 4) {
+    const radius = Math.ceil(moduleSize * 10);
+    const minX = Math.max(0, Math.floor(estimate.x - radius));
+    const maxX = Math.min(image.width - 1, Math.ceil(estimate.x + radius));
+    const minY = Math.max(0, Math.floor(estimate.y - radius));
+    const maxY = Math.min(image.height - 1, Math.ceil(estimate.y + radius));
+    const near = (length) => Math.abs(length - moduleSize) < moduleSize * 0.7;
+
+    const runLength = (x, y, dx, dy, dark) => {
+      let length = 0;
+      while (
+        x >= 0 && y >= 0 && x < image.width && y < image.height &&
+        image.get(x, y) === dark && length <= moduleSize * 2
+      ) {
+        length++;
+        x += dx;
+        y += dy;
+      }
+      return length;
+    };
+
+    const found = [];
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        if (!image.get(x, y) || (x > 0 && image.get(x - 1, y))) continue;
+
+        // Dark center, light ring, then the dark outer ring on every side
+        const width = runLength(x, y, 1, 0, true);
+        if (!near(width)) continue;
+        const left = runLength(x - 1, y, -1, 0, false);
+        const right = runLength(x + width, y, 1, 0, false);
+        if (!near(left) || !near(right)) continue;
+        if (!runLength(x - 1 - left, y, -1, 0, true) || !runLength(x + width + right, y, 1, 0, true)) continue;
+
+        const cx = x + Math.floor(width / 2);
+        const up = runLength(cx, y, 0, -1, true);
+        const down = runLength(cx, y + 1, 0, 1, true);
+        if (!near(up + down)) continue;
+        const above = runLength(cx, y - up, 0, -1, false);
+        const below = runLength(cx, y + down + 1, 0, 1, false);
+        if (!near(above) || !near(below)) continue;
+        if (!runLength(cx, y - up - above, 0, -1, true) || !runLength(cx, y + down + 1 + below, 0, 1, true)) continue;
+
+        const center = { x: x + width / 2, y: y - up + 1 + (up + down) / 2 };
+        if (found.some(c => Math.hypot(c.x - center.x, c.y - center.y) < moduleSize)) continue;
+        found.push({ ...center, offset: Math.hypot(center.x - estimate.x, center.y - estimate.y) });
+      }
+    }
+
+    return found
+      .sort((a, b) => a.offset - b.offset)
+      .slice(0, limit)
+      .map(({ x, y }) => ({ x, y }));
+  }
+
+  // Builds a homography mapping four source points onto four destination points
+  static perspectiveTransform(source, destination) {
+    const rows = [];
+    for (let i = 0; i < 4; i++) {
+      const [u, v] = source[i];
+      const [x, y] = destination[i];
+      rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+      rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    }
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+      }
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      if (Math.abs(rows[col][col]) < 1e-12) throw new Error('Degenerate transform');
+
+      for (let row = 0; row < 8; row++) {
+        if (row === col) continue;
+        const factor = rows[row][col] / rows[col][col];
+        for (let k = col; k < 9; k++) {
+          rows[row][k] -= factor * rows[col][k];
+        }
+      }
+    }
+    const h = rows.map((row, i) => row[8] / row[i]);
+
+    return (u, v) => {
+      const w = h[6] * u + h[7] * v + 1;
+      return [
+        (h[0] * u + h[1] * v + h[2]) / w,
+        (h[3] * u + h[4] * v + h[5]) / w
+      ];
+    };
+  }
+
+  static alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const interval = size === 145 ? 26 : Math.ceil((size - 13) / (2 * count - 2)) * 2;
+    const positions = [size - 7];
+    for (let i = 1; i < count - 1; i++) {
+      positions.push(positions[i - 1] - interval);
+    }
+    positions.push(6);
+
+    return positions.reverse();
+  }
+
+  static functionPattern(version) {
+    const dimension = version * 4 + 17;
+    const pattern = new QRBitMatrix(dimension);
+
+    // Finder patterns, separators and format information
+    pattern.setRegion(0, 0, 9, 9);
+    pattern.setRegion(dimension - 8, 0, 8, 9);
+    pattern.setRegion(0, dimension - 8, 9, 8);
+
+    const positions = this.alignmentPositions(version);
+    const last = positions.length - 1;
+    for (let i = 0; i <= last; i++) {
+      for (let j = 0; j <= last; j++) {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+        pattern.setRegion(positions[i] - 2, positions[j] - 2, 5, 5);
+      }
+    }
+
+    // Timing patterns
+    pattern.setRegion(6, 9, 1, dimension - 17);
+    pattern.setRegion(9, 6, dimension - 17, 1);
+
+    // Version information
+    if (version > 6) {
+      pattern.setRegion(dimension - 11, 0, 3, 6);
+      pattern.setRegion(0, dimension - 11, 6, 3);
+    }
+
+    return pattern;
+  }
+
+  static readFormat(grid) {
+    const dimension = grid.width;
+    const bit = (x, y) => (grid.get(x, y) ? 1 : 0);
+
+    let first = 0;
+    for (let x = 0; x < 6; x++) first = (first << 1) | bit(x, 8);
+    first = (first << 1) | bit(7, 8);
+    first = (first << 1) | bit(8, 8);
+    first = (first << 1) | bit(8, 7);
+    for (let y = 5; y >= 0; y--) first = (first << 1) | bit(8, y);
+
+    let second = 0;
+    for (let y = dimension - 1; y >= dimension - 7; y--) second = (second << 1) | bit(8, y);
+    for (let x = dimension - 8; x < dimension; x++) second = (second << 1) | bit(x, 8);
+
+    let best = null;
+    for (let data = 0; data < 32; data++) {
+      let remainder = data << 10;
+      for (let i = 14; i >= 10; i--) {
+        if (remainder & (1 << i)) remainder ^= 0x537 << (i - 10);
+      }
+      const code = ((data << 10) | remainder) ^ 0x5412;
+
+      for (const read of [first, second]) {
+        let distance = 0;
+        for (let diff = code ^ read; diff; diff &= diff - 1) distance++;
+        if (!best || distance < best.distance) {
+          best = { data, distance };
+        }
+      }
+    }
+
+    if (best.distance > 3) return null;
+    return {
+      ecLevel: QR_EC_LEVEL_INDEX[best.data >> 3],
+      mask: best.data & 7
+    };
+  }
+
+  static isMasked(mask, row, col) {
+    switch (mask) {
+      case 0: return (row + col) % 2 === 0;
+      case 1: return row % 2 === 0;
+      case 2: return col % 3 === 0;
+      case 3: return (row + col) % 3 === 0;
+      case 4: return (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+      case 5: return ((row * col) % 2) + ((row * col) % 3) === 0;
+      case 6: return (((row * col) % 2) + ((row * col) % 3)) % 2 === 0;
+      default: return (((row + col) % 2) + ((row * col) % 3)) % 2 === 0;
+    }
+  }
+
+  static decodeGrid(grid) {
+    const dimension = grid.width;
+    const version = (dimension - 17) / 4;
+    const format = this.readFormat(grid);
+    if (!format) return null;
+
+    const functionPattern = this.functionPattern(version);
+
+    // Read codewords in the zig-zag order, two columns at a time
+    const codewords = [];
+    let current = 0;
+    let bitsRead = 0;
+    let upward = true;
+    for (let col = dimension - 1; col > 0; col -= 2) {
+      if (col === 6) col--;
+      for (let count = 0; count < dimension; count++) {
+        const row = upward ? dimension - 1 - count : count;
+        for (let offset = 0; offset < 2; offset++) {
+          const x = col - offset;
+          if (functionPattern.get(x, row)) continue;
+
+          const dark = grid.get(x, row) !== this.isMasked(format.mask, row, x);
+          current = (current << 1) | (dark ? 1 : 0);
+          if (++bitsRead === 8) {
+            codewords.push(current);
+            current = 0;
+            bitsRead = 0;
+          }
+        }
+      }
+      upward = !upward;
+    }
+
+    const data = this.correctCodewords(codewords, version, format.ecLevel);
+    if (!data) return null;
+
+    return this.decodeSegments(data, version);
+  }
+
+  static correctCodewords(codewords, version, ecLevel) {
+    const index = ((version - 1) * 4 + ecLevel) * 2;
+    const blockCount = QR_EC_BLOCKS[index];
+    const ecPerBlock = QR_EC_BLOCKS[index + 1];
+    const total = codewords.length;
+    const shortBlockLength = Math.floor(total / blockCount);
+    const longBlocks = total % blockCount;
+
+    const blocks = [];
+    for (let i = 0; i < blockCount; i++) {
+      const dataLength = shortBlockLength - ecPerBlock + (i >= blockCount - longBlocks ? 1 : 0);
+      blocks.push({ dataLength, data: [], ec: [] });
+    }
+
+    // De-interleave: data bytes round-robin, then EC bytes round-robin
+    let offset = 0;
+    const maxData = shortBlockLength - ecPerBlock + (longBlocks ? 1 : 0);
+    for (let i = 0; i < maxData; i++) {
+      for (const block of blocks) {
+        if (i < block.dataLength) block.data.push(codewords[offset++]);
+      }
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+      for (const block of blocks) {
+        block.ec.push(codewords[offset++]);
+      }
+    }
+
+    const result = [];
+    for (const block of blocks) {
+      const bytes = [...block.data, ...block.ec];
+      if (!QRReedSolomon.correct(bytes, ecPerBlock)) return null;
+      result.push(...bytes.slice(0, block.dataLength));
+    }
+
+    return result;
+  }
+
+  static decodeSegments(bytes, version) {
+    let position = 0;
+    const available = () => bytes.length * 8 - position;
+    const read = (count) => {
+      if (count > available()) throw new Error('Truncated QR data');
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        const byte = bytes[(position >> 3)];
+        value = (value << 1) | ((byte >> (7 - (position & 7))) & 1);
+        position++;
+      }
+      return value;
+    };
+    const sizeClass = version < 10 ? 0 : version < 27 ? 1 : 2;
+
+    let text = '';
+    while (available() >= 4) {
+      const mode = read(4);
+      if (mode === 0) break;
+
+      if (mode === 1) {
+        let length = read([10, 12, 14][sizeClass]);
+        while (length >= 3) {
+          text += read(10).toString().padStart(3, '0');
+          length -= 3;
+        }
+        if (length === 2) text += read(7).toString().padStart(2, '0');
+        if (length === 1) text += read(4).toString();
+      } else if (mode === 2) {
+        let length = read([9, 11, 13][sizeClass]);
+        while (length >= 2) {
+          const value = read(11);
+          text += QR_ALPHANUMERIC[Math.floor(value / 45)] + QR_ALPHANUMERIC[value % 45];
+          length -= 2;
+        }
+        if (length === 1) text += QR_ALPHANUMERIC[read(6)];
+      } else if (mode === 4) {
+        const length = read([8, 16, 16][sizeClass]);
+        const chunk = new Uint8Array(length);
+        for (let i = 0; i < length; i++) chunk[i] = read(8);
+        text += new TextDecoder('utf-8').decode(chunk);
+      } else if (mode === 8) {
+        const length = read([8, 10, 12][sizeClass]);
+        const chunk = new Uint8Array(length * 2);
+        for (let i = 0; i < length; i++) {
+          const value = read(13);
+          let assembled = (Math.floor(value / 0xc0) << 8) | (value % 0xc0);
+          assembled += assembled < 0x1f00 ? 0x8140 : 0xc140;
+          chunk[i * 2] = assembled >> 8;
+          chunk[i * 2 + 1] = assembled & 0xff;
+        }
+        text += new TextDecoder('shift_jis').decode(chunk);
+      } else if (mode === 7) {
+        // ECI designator: only UTF-8 and ASCII-compatible sets are expected
+        const first = read(8);
+        if ((first & 0xc0) === 0x80) read(8);
+        else if ((first & 0xe0) === 0xc0) read(16);
+      } else if (mode === 3) {
+        read(16); // Structured append header
+      } else if (mode === 5 || mode === 9) {
+        if (mode === 9) read(8); // FNC1 application indicator
+      } else {
+        throw new Error('Unsupported QR mode');
+      }
+    }
+
+    return text;
+  }
+}
@@ -0,0 +1,499 @@
+// Storage Manager (shared by the popup and the background service worker)
+//
+// chrome.storage.local layout (schemaVersion 2, see migrations.js):
+//   accounts       { byId: { id: secret }, byWebsite: { host: [id, ...] } }
+//   settings       extension-wide preferences (DEFAULT_SETTINGS)
+//   domainSettings per-site preferences and rules, by host
+//   usage, trash, secretHistory, vault, sync (see sync.js)
+
+const DEFAULT_SETTINGS = {
+  neverSubmitDomains: [],
+  showInlineButton: true,
+  // Account list in the popup: 'name', 'recent' or 'manual' (accountOrder)
+  sortOrder: 'name',
+  accountOrder: [],
+  collapsedWebsites: [],
+  // During a code's last nextCodeSeconds the next code is shown, and the
+  // shortcut and Copy use it ('next'), wait for it ('wait') or don't ('current')
+  nextCodeSeconds: 5,
+  expiringCode: 'next',
+  // Seconds added to this computer's clock when generating codes
+  clockOffset: 0,
+  // Days deleted accounts stay in the trash before they are removed for good
+  trashDays: 30
+};
+
+// Earlier secret keys kept per account
+const HISTORY_LIMIT = 10;
+
+class StorageManager {
+  // Every account that applies to the given host, closest matches first.
+  // See DomainMatcher for the per-secret matching rules.
+  static async getSecretsForDomain(domain) {
+    const secrets = await this.getAllStoredSecrets();
+    return this.openSecrets(DomainMatcher.filter(secrets, domain));
+  }
+
+  // Secrets as stored, still encrypted when the vault is enabled
+  static async getStoredSecrets(domain) {
+    const store = await this.getAccountStore();
+    return (store.byWebsite[domain] || []).map(id => store.byId[id]);
+  }
+
+  // Names only, safe to hand to content scripts. Works while the vault is locked.
+  static async getAccountsForDomain(domain) {
+    const secrets = await this.getAllStoredSecrets();
+    return this.toAccountMetadata(DomainMatcher.filter(secrets, domain));
+  }
+
+  static toAccountMetadata(secrets) {
+    return secrets.map(s => ({ id: s.id, name: s.name, issuer: s.issuer || '' }));
+  }
+
+  // Secrets whose name, issuer, website or tags contain every word of the query
+  static searchSecrets(secrets, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return secrets.filter(secret => {
+      const haystack = [secret.name, secret.issuer, secret.website, ...(secret.tags || [])].join(' ').toLowerCase();
+      return words.every(word => haystack.includes(word));
+    });
+  }
+
+  // Tags from the edit form (comma separated) or an import. Duplicates are
+  // dropped ignoring case, keeping the first spelling.
+  static normalizeTags(value) {
+    const tags = (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(tag => String(tag || '').trim())
+      .filter(Boolean);
+    return tags.filter((tag, index) => tags.findIndex(t => t.toLowerCase() === tag.toLowerCase()) === index);
+  }
+
+  static async getAllSecrets() {
+    return this.openSecrets(await this.getAllStoredSecrets());
+  }
+
+  static async getAllStoredSecrets() {
+    const store = await this.getAccountStore();
+    return Object.values(store.byWebsite).flat().map(id => store.byId[id]);
+  }
+
+  static async getAccountStore() {
+    const { accounts = {} } = await chrome.storage.local.get(['accounts']);
+    return { byId: {}, byWebsite: {}, ...accounts };
+  }
+
+  // Adds or replaces an account, keeping the website index in step
+  static putAccount(store, secret) {
+    const previous = store.byId[secret.id];
+    if (previous && previous.website !== secret.website) {
+      this.removeAccount(store, secret.id);
+    }
+    if (!store.byId[secret.id]) {
+      (store.byWebsite[secret.website] = store.byWebsite[secret.website] || []).push(secret.id);
+    }
+    store.byId[secret.id] = secret;
+  }
+
+  static removeAccount(store, secretId) {
+    const secret = store.byId[secretId];
+    if (!secret) return;
+
+    const ids = (store.byWebsite[secret.website] || []).filter(id => id !== secretId);
+    if (ids.length > 0) {
+      store.byWebsite[secret.website] = ids;
+    } else {
+      delete store.byWebsite[secret.website];
+    }
+    delete store.byId[secretId];
+  }
+
+  static async openSecrets(secrets) {
+    const key = await Vault.getKey();
+    return Promise.all(secrets.map(secret => Vault.openSecret(secret, key)));
+  }
+
+  static async sealSecret(secret) {
+    const key = await Vault.getKey();
+    if (key) return Vault.sealSecret(secret, key);
+    if (await Vault.isEnabled()) throw new Error('The vault is locked');
+    return secret;
+  }
+
+  static async saveSecret(secret) {
+    const store = await this.getAccountStore();
+    const previous = secret.id && store.byId[secret.id];
+    
+    if (previous) {
+      // A changed website moves the secret to the new website's list
+      await this.recordHistory(previous, secret);
+      this.putAccount(store, await this.sealSecret({ ...secret, updatedAt: new Date().toISOString() }));
+    } else {
+      secret.id = this.generateId();
+      secret.createdAt = new Date().toISOString();
+      secret.updatedAt = new Date().toISOString();
+      this.putAccount(store, await this.sealSecret(secret));
+    }
+    
+    await chrome.storage.local.set({ accounts: store });
+  }
+
+  // Stores accounts from another browser as they are, keeping their ids
+  // and timestamps so the next sync sees them as unchanged. An account
+  // restored there leaves the trash here.
+  static async saveSyncedSecrets(secrets) {
+    const [store, { trash = {} }] = await Promise.all([
+      this.getAccountStore(),
+      chrome.storage.local.get(['trash'])
+    ]);
+    for (const secret of secrets) {
+      if (store.byId[secret.id]) {
+        await this.recordHistory(store.byId[secret.id], secret);
+      }
+      this.putAccount(store, await this.sealSecret(secret));
+      delete trash[secret.id];
+    }
+    await chrome.storage.local.set({ accounts: store, trash });
+  }
+
+  // Gives an account another id, e.g. the one another browser knows it by.
+  // Its usage, earlier keys and site defaults move with it.
+  static async changeSecretId(fromId, toId) {
+    const [store, { usage = {}, secretHistory = {}, domainSettings = {} }] = await Promise.all([
+      this.getAccountStore(),
+      chrome.storage.local.get(['usage', 'secretHistory', 'domainSettings'])
+    ]);
+    const secret = store.byId[fromId];
+    if (!secret || store.byId[toId]) return;
+
+    store.byWebsite[secret.website] = store.byWebsite[secret.website].map(id => id === fromId ? toId : id);
+    delete store.byId[fromId];
+    store.byId[toId] = { ...secret, id: toId };
+
+    if (fromId in usage) {
+      usage[toId] = usage[fromId];
+      delete usage[fromId];
+    }
+    if (fromId in secretHistory) {
+      secretHistory[toId] = secretHistory[fromId];
+      delete secretHistory[fromId];
+    }
+    for (const settings of Object.values(domainSettings)) {
+      if (settings?.defaultSecretId === fromId) settings.defaultSecretId = toId;
+    }
+    await chrome.storage.local.set({ accounts: store, usage, secretHistory, domainSettings });
+  }
+
+  // Rewrites every domain's secrets, plus the trash and earlier secret keys,
+  // encrypted with key or in plain text when key is null. Used when the
+  // master password is set or removed.
+  static async writeSecrets(secrets, key) {
+    const currentKey = await Vault.getKey();
+    const write = async secret => {
+      const open = await Vault.openSecret(secret, currentKey);
+      return key ? Vault.sealSecret(open, key) : open;
+    };
+
+    const store = { byId: {}, byWebsite: {} };
+    for (const secret of secrets) {
+      this.putAccount(store, await write(secret));
+    }
+
+    const { trash = {}, secretHistory = {} } = await chrome.storage.local.get(['trash', 'secretHistory']);
+    for (const id of Object.keys(trash)) {
+      trash[id] = await write(trash[id]);
+    }
+    for (const id of Object.keys(secretHistory)) {
+      secretHistory[id] = await Promise.all(secretHistory[id].map(write));
+    }
+
+    await chrome.storage.local.set({ accounts: store, trash, secretHistory });
+  }
+
+  // Keeps the stored secret's key when an edit or import replaces it,
+  // newest first, so it can be restored from the edit view
+  static async recordHistory(previous, secret) {
+    const old = await Vault.openSecret(previous, await Vault.getKey());
+    if (old.secret === secret.secret) return;
+
+    const entry = await this.sealSecret({
+      secret: old.secret,
+      type: old.type || 'totp',
+      digits: old.digits || 6,
+      period: old.period || 30,
+      counter: old.counter || 0,
+      algorithm: old.algorithm || 'SHA1',
+      replacedAt: new Date().toISOString()
+    });
+
+    const { secretHistory = {} } = await chrome.storage.local.get(['secretHistory']);
+    secretHistory[secret.id] = [entry, ...(secretHistory[secret.id] || [])].slice(0, HISTORY_LIMIT);
+    await chrome.storage.local.set({ secretHistory });
+  }
+
+  static async getSecretHistory(secretId) {
+    const { secretHistory = {} } = await chrome.storage.local.get(['secretHistory']);
+    return this.openSecrets(secretHistory[secretId] || []);
+  }
+
+  // Unix time used for codes, corrected by the clock offset setting
+  static codeTime(settings) {
+    return Math.floor(Date.now() / 1000) + (settings.clockOffset || 0);
+  }
+
+  // The code to fill or copy right now. HOTP secrets consume their counter;
+  // TOTP codes about to expire are handled as the expiringCode setting says.
+  static async generateCodeToUse(secret) {
+    if (secret.type === 'hotp') {
+      return this.useHOTPCode(secret);
+    }
+
+    const settings = await this.getSettings();
+    const period = secret.period || 30;
+    const generate = time => TOTPGenerator.generateTOTP(
+      secret.secret, time, secret.digits || 6, period, secret.algorithm
+    );
+
+    const time = this.codeTime(settings);
+    const current = await generate(time);
+    if (current.timeRemaining > settings.nextCodeSeconds) return current.code;
+
+    if (settings.expiringCode === 'next') {
+      return (await generate(time + period)).code;
+    }
+    if (settings.expiringCode === 'wait') {
+      await new Promise(resolve => setTimeout(resolve, current.timeRemaining * 1000));
+      return (await generate(time + current.timeRemaining)).code;
+    }
+    return current.code;
+  }
+
+  // Generates the code for the secret's stored counter and moves the
+  // counter forward, so a revealed, copied or auto-filled code is never reused.
+  static async useHOTPCode(secret) {
+    const secrets = await this.openSecrets(await this.getStoredSecrets(secret.website));
+    const stored = secrets.find(s => s.id === secret.id) || secret;
+    const counter = stored.counter || 0;
+
+    const code = await TOTPGenerator.generateHOTP(
+      stored.secret, counter, stored.digits || 6, stored.algorithm
+    );
+    await this.saveSecret({ ...stored, counter: counter + 1 });
+
+    return code;
+  }
+
+  // Moves the secrets to the trash. They stay there, still sealed, for
+  // the trashDays setting.
+  static async deleteSecrets(secretIds) {
+    const [store, { trash = {} }] = await Promise.all([
+      this.getAccountStore(),
+      chrome.storage.local.get(['trash'])
+    ]);
+    const deletedAt = new Date().toISOString();
+    for (const id of secretIds) {
+      if (!store.byId[id]) continue;
+
+      trash[id] = { ...store.byId[id], deletedAt };
+      this.removeAccount(store, id);
+    }
+    await chrome.storage.local.set({ accounts: store, trash });
+    await this.purgeTrash();
+  }
+
+  // Deleted accounts, most recently deleted first. Only names and websites
+  // are needed to list them, so the secret keys are left sealed.
+  static async getTrash() {
+    await this.purgeTrash();
+    const { trash = {} } = await chrome.storage.local.get(['trash']);
+    return Object.values(trash).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  // Puts deleted accounts back under their websites
+  static async restoreSecrets(secretIds) {
+    const [store, { trash = {} }] = await Promise.all([
+      this.getAccountStore(),
+      chrome.storage.local.get(['trash'])
+    ]);
+    for (const id of secretIds) {
+      if (!trash[id]) continue;
+
+      const { deletedAt, ...secret } = trash[id];
+      this.putAccount(store, secret);
+      delete trash[id];
+    }
+    await chrome.storage.local.set({ accounts: store, trash });
+  }
+
+  // Removes accounts from the trash for good, with their earlier keys
+  static async emptyTrash(secretIds = null) {
+    const { trash = {}, secretHistory = {} } = await chrome.storage.local.get(['trash', 'secretHistory']);
+    for (const id of secretIds || Object.keys(trash)) {
+      delete trash[id];
+      delete secretHistory[id];
+    }
+    await chrome.storage.local.set({ trash, secretHistory });
+  }
+
+  static async purgeTrash() {
+    const [{ trash = {} }, { trashDays }] = await Promise.all([
+      chrome.storage.local.get(['trash']),
+      this.getSettings()
+    ]);
+    const cutoff = Date.now() - trashDays * 24 * 60 * 60 * 1000;
+    const expired = Object.keys(trash).filter(id => Date.parse(trash[id].deletedAt) < cutoff);
+    if (expired.length > 0) {
+      await this.emptyTrash(expired);
+    }
+  }
+
+  // Groups of accounts with the same secret key and type, whatever their
+  // names or websites. Only groups with more than one account are returned.
+  static findDuplicates(secrets) {
+    const groups = new Map();
+    for (const secret of secrets) {
+      const key = `${secret.type || 'totp'}:${String(secret.secret || '').replace(/[\s=]/g, '').toUpperCase()}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(secret);
+    }
+    return Array.from(groups.values()).filter(group => group.length > 1);
+  }
+
+  // Per-domain preferences, e.g. the account the shortcut uses by default
+  static async getDomainSettings(domain) {
+    const { domainSettings = {} } = await chrome.storage.local.get(['domainSettings']);
+    return domainSettings[domain] || {};
+  }
+
+  static async saveDomainSettings(domain, changes) {
+    const { domainSettings = {} } = await chrome.storage.local.get(['domainSettings']);
+    domainSettings[domain] = { ...domainSettings[domain], ...changes };
+    await chrome.storage.local.set({ domainSettings });
+  }
+
+  // Extension-wide preferences
+  static async getSettings() {
+    const { settings = {} } = await chrome.storage.local.get(['settings']);
+    return { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  static async saveSettings(changes) {
+    const { settings = {} } = await chrome.storage.local.get(['settings']);
+    await chrome.storage.local.set({ settings: { ...settings, ...changes } });
+  }
+
+  // When each account's code was last copied or filled, by secret id
+  static async getUsage() {
+    const { usage = {} } = await chrome.storage.local.get(['usage']);
+    return usage;
+  }
+
+  static async recordUsage(secretId) {
+    const usage = await this.getUsage();
+    usage[secretId] = Date.now();
+    await chrome.storage.local.set({ usage });
+  }
+
+  // Auto-submit has to be switched on for the domain and the domain must
+  // not be on the never-submit list
+  static async shouldAutoSubmit(domain) {
+    const [{ autoSubmit }, { neverSubmitDomains }] = await Promise.all([
+      this.getDomainSettings(domain),
+      this.getSettings()
+    ]);
+    return !!autoSubmit && !DomainMatcher.isHostInList(domain, neverSubmitDomains);
+  }
+
+  // Site rules that make sense on another install; pinned defaults refer
+  // to local account ids and are left out
+  static pickPortableDomainSettings(domainSettings) {
+    const portable = {};
+    // Files from elsewhere may have null or no domainSettings
+    for (const [domain, settings] of Object.entries(domainSettings || {})) {
+      const picked = {};
+      for (const key of ['autoSubmit', 'fieldSelector', 'submitSelector']) {
+        if (settings && settings[key]) picked[key] = settings[key];
+      }
+      if (Object.keys(picked).length > 0) portable[domain] = picked;
+    }
+    return portable;
+  }
+
+  static async importDomainSettings(domainSettings) {
+    const portable = this.pickPortableDomainSettings(domainSettings);
+    for (const [domain, settings] of Object.entries(portable)) {
+      await this.saveDomainSettings(domain, settings);
+    }
+  }
+
+  static async exportSecrets() {
+    const secrets = await this.getAllSecrets();
+    const { domainSettings } = await chrome.storage.local.get(['domainSettings']);
+    return JSON.stringify({
+      version: '1.0',
+      exportDate: new Date().toISOString(),
+      domainSettings: this.pickPortableDomainSettings(domainSettings),
+      secrets: secrets.map(s => ({
+        website: s.website,
+        name: s.name,
+        secret: s.secret,
+        issuer: s.issuer || '',
+        type: s.type || 'totp',
+        digits: s.digits || 6,
+        period: s.period || 30,
+        counter: s.counter || 0,
+        algorithm: s.algorithm || 'SHA1',
+        tags: s.tags || [],
+        favorite: !!s.favorite,
+        ...DomainMatcher.normalizeRules(s)
+      }))
+    }, null, 2);
+  }
+
+  // The saved account an imported one duplicates: the same secret key, or
+  // the same name and issuer (e.g. after the key was reset). Returns
+  // { existing, sameKey }, or null when the account is new.
+  static findExistingAccount(account, existing) {
+    const key = s => String(s.secret || '').replace(/[\s=]/g, '').toUpperCase();
+    const label = s => `${String(s.name || '').toLowerCase()}\n${String(s.issuer || '').toLowerCase()}`;
+
+    const match = existing.find(s => key(s) === key(account) && label(s) === label(account)) ||
+      existing.find(s => key(s) === key(account)) ||
+      existing.find(s => label(s) === label(account));
+    return match ? { existing: match, sameKey: key(match) === key(account) } : null;
+  }
+
+  static async findImportConflicts(accounts) {
+    const existing = await this.getAllSecrets();
+    return accounts.map(account => this.findExistingAccount(account, existing));
+  }
+
+  // Saves accounts already parsed and previewed via ImportParser.
+  // resolutions[i] decides what happens to accounts[i]: { action: 'add' }
+  // (the default), { action: 'skip', reason }, or { action: 'overwrite',
+  // existing } to replace a saved account. A website entered in the preview
+  // comes as resolutions[i].website. Returns the accounts by outcome.
+  static async importSecrets(accounts, resolutions = []) {
+    const summary = { added: [], updated: [], skipped: [] };
+
+    for (const [index, imported] of accounts.entries()) {
+      const { action = 'add', existing, reason, website } = resolutions[index] || {};
+      const account = website ? { ...imported, website, name: imported.name || website } : imported;
+
+      if (action === 'skip') {
+        summary.skipped.push({ ...account, reason: reason || 'Skipped' });
+      } else if (action === 'overwrite' && existing) {
+        await this.saveSecret({ ...account, id: existing.id, createdAt: existing.createdAt });
+        summary.updated.push(account);
+      } else {
+        await this.saveSecret({ ...account });
+        summary.added.push(account);
+      }
+    }
+
+    return summary;
+  }
+
+  static generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+}
@@ -0,0 +1,323 @@
+// Keeps accounts in step between browsers through an end-to-end encrypted
+// sync file. The file is an EncryptedExport envelope around the usual export
+// JSON plus account ids, timestamps and deletions, so it can also be opened
+// with the Import button and the sync password, without any of the targets.
+
+class VaultSync {
+  static FORMAT = 'totp-sync';
+  static FILE_NAME = 'totp-sync.json';
+  // chrome.storage.sync allows 8 KB per item and 100 KB in all
+  static CHUNK_SIZE = 7000;
+  static CHROME_SYNC_QUOTA = 102400;
+
+  // Stored as `sync` in chrome.storage.local. syncedIds are the accounts
+  // both sides had after the last sync, to tell new accounts from deleted ones.
+  static async getState() {
+    const { sync = {} } = await chrome.storage.local.get(['sync']);
+    return { target: 'chrome', folderName: '', lastSyncedAt: '', syncedIds: [], ...sync };
+  }
+
+  static async saveState(changes) {
+    const state = await this.getState();
+    await chrome.storage.local.set({ sync: { ...state, ...changes } });
+  }
+
+  // target: { read: async () => file text or null, write: async text => {} }
+  // Returns what changed here: { added, updated, removed, conflicts }.
+  // Without a file yet, password becomes the file's password for every
+  // browser, so it has to be confirmed; a NoSyncFileError asks for that.
+  static async run(password, target, confirmPassword = null) {
+    const text = await target.read();
+    if (!text && confirmPassword !== password) {
+      const error = new Error(confirmPassword === null
+        ? 'There is no sync file yet. Enter the new sync password twice to create it.'
+        : 'The sync passwords do not match');
+      error.name = 'NoSyncFileError';
+      throw error;
+    }
+
+    const remote = await this.open(text, password);
+    const state = await this.getState();
+    const [accounts, trash] = await Promise.all([StorageManager.getAllSecrets(), StorageManager.getTrash()]);
+
+    const result = this.merge(
+      { accounts, trash: Object.fromEntries(trash.map(s => [s.id, s.deletedAt])) },
+      remote,
+      state
+    );
+
+    // Deletions are only passed on for as long as the trash keeps accounts
+    const { trashDays } = await StorageManager.getSettings();
+    const cutoff = new Date(Date.now() - trashDays * 24 * 60 * 60 * 1000).toISOString();
+    result.deleted = result.deleted.filter(deletion => deletion.deletedAt >= cutoff);
+
+    // The file is written first: if that fails nothing has changed here
+    await target.write(await EncryptedExport.encrypt(
+      this.buildPayload(result.accounts, result.deleted), password
+    ));
+    for (const { from, to } of result.renamed) {
+      await StorageManager.changeSecretId(from, to);
+    }
+    await StorageManager.saveSyncedSecrets([...result.added, ...result.updated]);
+    await StorageManager.deleteSecrets(result.removed.map(s => s.id));
+    await this.saveState({
+      lastSyncedAt: new Date().toISOString(),
+      syncedIds: result.accounts.map(s => s.id)
+    });
+
+    return result;
+  }
+
+  static async open(text, password) {
+    if (!text) return null;
+
+    let envelope;
+    try {
+      envelope = JSON.parse(text);
+    } catch {
+      throw new Error('The sync file is damaged');
+    }
+    if (!EncryptedExport.isEncryptedExport(envelope)) {
+      throw new Error('This is not a sync file');
+    }
+
+    const payload = JSON.parse(await EncryptedExport.decrypt(envelope, password));
+    if (payload.format !== this.FORMAT) {
+      throw new Error('This is not a sync file');
+    }
+    return payload;
+  }
+
+  static buildPayload(accounts, deleted) {
+    return JSON.stringify({
+      version: '1.0',
+      format: this.FORMAT,
+      exportDate: new Date().toISOString(),
+      secrets: accounts,
+      deleted
+    }, null, 2);
+  }
+
+  // Merges account by account on updatedAt. Deletions travel as
+  // { id, deletedAt } and win over changes made before them. A change on
+  // both sides since the last sync is a conflict: the newer version is kept
+  // (the older secret key stays in the account's history) and it is reported.
+  // local: { accounts, trash: { id: deletedAt } }; remote: payload or null.
+  // renamed lists the local ids to change to the other browser's: { from, to }.
+  static merge(local, remote, state) {
+    const lastSyncedAt = state.lastSyncedAt || '';
+    const syncedIds = new Set(state.syncedIds);
+    const remoteAccounts = new Map((remote?.secrets || []).map(s => [s.id, s]));
+    const deleted = new Map((remote?.deleted || []).map(d => [d.id, d.deletedAt]));
+    const result = { accounts: [], added: [], updated: [], removed: [], conflicts: [] };
+    const changedSince = account => (account.updatedAt || '') > lastSyncedAt;
+
+    const adopted = syncedIds.size === 0
+      ? this.matchFirstSync(local.accounts, remoteAccounts, result.conflicts)
+      : new Map();
+    result.renamed = [...adopted].map(([from, to]) => ({ from, to }));
+    const adoptedIds = new Set(adopted.values());
+    const localAccounts = local.accounts.map(account =>
+      adopted.has(account.id) ? { ...account, id: adopted.get(account.id) } : account
+    );
+
+    for (const account of localAccounts) {
+      const other = remoteAccounts.get(account.id);
+      remoteAccounts.delete(account.id);
+
+      if (!other) {
+        const deletedAt = deleted.get(account.id);
+        if (deletedAt && deletedAt >= (account.updatedAt || '')) {
+          result.removed.push(account);
+          continue;
+        }
+        if (deletedAt) {
+          deleted.delete(account.id);
+          result.conflicts.push(`"${account.name}" was deleted in another browser but changed here, so it was kept`);
+        }
+        result.accounts.push(account);
+        continue;
+      }
+
+      if (this.sameAccount(account, other)) {
+        result.accounts.push(account);
+        continue;
+      }
+
+      const remoteIsNewer = (other.updatedAt || '') > (account.updatedAt || '');
+      const kept = { ...(remoteIsNewer ? other : account) };
+      // HOTP counters never go back, or codes would be used twice
+      if (kept.type === 'hotp') {
+        kept.counter = Math.max(account.counter || 0, other.counter || 0);
+      }
+
+      // Both copies of a matched import are new to each other, not a conflict
+      if (changedSince(account) && changedSince(other) && !adoptedIds.has(other.id)) {
+        result.conflicts.push(`"${kept.name}" was changed in both browsers; the newer version from ${remoteIsNewer ? 'the other browser' : 'this browser'} was kept`);
+      }
+      if (!this.sameAccount(kept, account)) {
+        result.updated.push(kept);
+      }
+      result.accounts.push(kept);
+    }
+
+    for (const other of remoteAccounts.values()) {
+      // Deleted here: still in the trash, or gone from it since the last sync
+      const deletedAt = local.trash[other.id] || (syncedIds.has(other.id) ? new Date().toISOString() : null);
+      if (deletedAt && deletedAt >= (other.updatedAt || '')) {
+        deleted.set(other.id, deletedAt);
+        continue;
+      }
+      if (deletedAt) {
+        result.conflicts.push(`"${other.name}" was deleted here but changed in another browser, so it was restored`);
+      }
+      result.added.push(other);
+      result.accounts.push(other);
+    }
+
+    for (const account of result.accounts) {
+      deleted.delete(account.id);
+    }
+    result.deleted = [...deleted].map(([id, deletedAt]) => ({ id, deletedAt }));
+    return result;
+  }
+
+  // On the first sync here, both browsers may have the same accounts from
+  // one import, under different ids. A local account with the same secret
+  // key as one only in the file takes that account's id; the same name with
+  // another key is reported and both are kept. Returns local id -> file id.
+  static matchFirstSync(accounts, remoteAccounts, conflicts) {
+    const adopted = new Map();
+    const localIds = new Set(accounts.map(account => account.id));
+    const unmatched = accounts.filter(account => !remoteAccounts.has(account.id));
+    for (const other of remoteAccounts.values()) {
+      if (localIds.has(other.id)) continue;
+
+      const match = StorageManager.findExistingAccount(other, unmatched);
+      if (!match) continue;
+      if (match.sameKey) {
+        adopted.set(match.existing.id, other.id);
+        unmatched.splice(unmatched.indexOf(match.existing), 1);
+      } else {
+        conflicts.push(`"${other.name}" is in both browsers with different secret keys, so both were kept`);
+      }
+    }
+    return adopted;
+  }
+
+  static sameAccount(a, b) {
+    const contents = account => JSON.stringify(
+      Object.entries(account).filter(([field]) => field !== 'updatedAt').sort()
+    );
+    return contents(a) === contents(b);
+  }
+
+  // chrome.storage.sync, split into chunk-0, chunk-1, ... items. Items reach
+  // other browsers one by one, so `chunks` holds the count and a hash of the
+  // whole file, and a file whose chunks don't all match yet isn't read.
+  static chromeSyncTarget() {
+    return {
+      read: async () => {
+        const items = await chrome.storage.sync.get();
+        if (!items.chunks) return null;
+
+        const text = Array.from({ length: items.chunks.count }, (_, i) => items[`chunk-${i}`] || '').join('');
+        if (await this.hash(text) !== items.chunks.hash) {
+          throw new Error('The sync data from another browser has not fully arrived yet. Try again in a minute.');
+        }
+        return text;
+      },
+      write: async text => {
+        const items = {};
+        for (let i = 0; i * this.CHUNK_SIZE < text.length; i++) {
+          items[`chunk-${i}`] = text.slice(i * this.CHUNK_SIZE, (i + 1) * this.CHUNK_SIZE);
+        }
+        items.chunks = { count: Object.keys(items).length, hash: await this.hash(text) };
+
+        const existing = await chrome.storage.sync.get();
+        const stale = Object.keys(existing).filter(key => /^chunk-\d+$/.test(key) && !(key in items));
+        const others = Object.keys(existing).filter(key => !(key in items) && !stale.includes(key));
+        const size = this.syncSize(items) + this.syncSize(existing, others);
+        if (size > this.CHROME_SYNC_QUOTA) {
+          throw new Error(`The accounts need ${Math.ceil(size / 1024)} KB, more than the ` +
+            `${this.CHROME_SYNC_QUOTA / 1024} KB Chrome sync allows. Sync through a folder instead.`);
+        }
+
+        // Old chunks go first when the new ones wouldn't fit next to them
+        const removeFirst = size + this.syncSize(existing, stale) > this.CHROME_SYNC_QUOTA;
+        if (stale.length > 0 && removeFirst) {
+          await chrome.storage.sync.remove(stale);
+        }
+        await chrome.storage.sync.set(items);
+        if (stale.length > 0 && !removeFirst) {
+          await chrome.storage.sync.remove(stale);
+        }
+      }
+    };
+  }
+
+  // Bytes chrome.storage.sync counts for the given items: key plus JSON value
+  static syncSize(items, keys = Object.keys(items)) {
+    return keys.reduce((size, key) => size + new TextEncoder().encode(key + JSON.stringify(items[key])).length, 0);
+  }
+
+  static async hash(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // A folder picked with the File System Access API, e.g. one that a cloud
+  // drive client keeps in step. Permission is asked for again each session.
+  static folderTarget(folder) {
+    return {
+      read: async () => {
+        await this.requestFolderPermission(folder);
+        try {
+          const file = await (await folder.getFileHandle(this.FILE_NAME)).getFile();
+          return file.text();
+        } catch (error) {
+          if (error.name === 'NotFoundError') return null;
+          throw error;
+        }
+      },
+      write: async text => {
+        const writable = await (await folder.getFileHandle(this.FILE_NAME, { create: true })).createWritable();
+        await writable.write(text);
+        await writable.close();
+      }
+    };
+  }
+
+  static async requestFolderPermission(folder) {
+    const options = { mode: 'readwrite' };
+    if (await folder.queryPermission(options) === 'granted') return;
+    if (await folder.requestPermission(options) !== 'granted') {
+      throw new Error('No permission to use the sync folder');
+    }
+  }
+
+  // Folder handles can't go in chrome.storage, so they are kept in IndexedDB
+  static async getFolder() {
+    const db = await this.openDatabase();
+    return this.request(db.transaction('handles').objectStore('handles').get('folder'));
+  }
+
+  static async saveFolder(folder) {
+    const db = await this.openDatabase();
+    await this.request(db.transaction('handles', 'readwrite').objectStore('handles').put(folder, 'folder'));
+    await this.saveState({ folderName: folder.name });
+  }
+
+  static openDatabase() {
+    const request = indexedDB.open('totp-sync', 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('handles');
+    return this.request(request);
+  }
+
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
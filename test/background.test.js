@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const events = () => ({ addListener() {} });
+const data = {};
+const session = {};
+const sent = [];
+const notifications = [];
+
+globalThis.importScripts = () => {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async keys => Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, data[key]])),
+      set: async items => Object.assign(data, items)
+    },
+    session: {
+      get: async keys => Object.fromEntries([].concat(keys).filter(key => key in session).map(key => [key, session[key]])),
+      set: async items => Object.assign(session, items)
+    },
+    onChanged: events()
+  },
+  runtime: { onMessage: events(), onInstalled: events(), onStartup: events(), onSuspend: events() },
+  commands: { onCommand: events() },
+  tabs: {
+    onUpdated: events(),
+    onActivated: events(),
+    sendMessage: async (tabId, message, options) => sent.push({ tabId, message, ...options })
+  },
+  windows: { onFocusChanged: events(), create: async () => {} },
+  contextMenus: { onClicked: events() },
+  omnibox: { setDefaultSuggestion() {}, onInputChanged: events(), onInputEntered: events() },
+  notifications: { onClicked: events(), create: options => notifications.push(options) }
+};
+
+const { handleContextMenuClick, handleSaveSiteRule, stopKeepAlive } = loadScripts(
+  ['totp.js', 'vault.js', 'psl.js', 'domains.js', 'storage.js', 'migrations.js', 'background.js'],
+  ['handleContextMenuClick', 'handleSaveSiteRule', 'stopKeepAlive']
+);
+stopKeepAlive();
+
+const github = { id: 'gh1', name: 'me', issuer: 'GitHub', website: 'github.com', secret: 'JBSWY3DPEHPK3PXP', type: 'totp' };
+const tab = { id: 7, url: 'https://github.com/login' };
+
+test.beforeEach(() => {
+  data.accounts = { byId: { gh1: github }, byWebsite: { 'github.com': ['gh1'] } };
+  sent.length = 0;
+  notifications.length = 0;
+  delete session.pendingChoice;
+});
+
+test('a context menu account is inserted into the page that lists it', async () => {
+  await handleContextMenuClick({ menuItemId: 'insert-totp-account:gh1', frameId: 0 }, tab);
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].frameId, 0);
+  assert.match(sent[0].message.code, /^\d{6}$/);
+});
+
+test('a page account is not inserted into a frame from another site', async () => {
+  await handleContextMenuClick({
+    menuItemId: 'insert-totp-account:gh1', frameId: 3, frameUrl: 'https://ads.example.net/widget'
+  }, tab);
+
+  assert.deepStrictEqual(sent, []);
+  assert.match(notifications[0].message, /ads\.example\.net/);
+});
+
+test('other accounts for a frame are chosen for the frame\'s site', async () => {
+  await handleContextMenuClick({
+    menuItemId: 'insert-totp-other', frameId: 3, frameUrl: 'https://login.example.org/sso'
+  }, tab);
+
+  assert.strictEqual(session.pendingChoice.frameId, 3);
+  assert.strictEqual(session.pendingChoice.pageDomain, 'login.example.org');
+});
+
+test('a field picked in a login frame is saved for the frame\'s site', async () => {
+  data.domainSettings = {};
+  let response;
+  await handleSaveSiteRule(
+    { target: 'field', selector: '#otp' },
+    { tab, frameId: 3, url: 'https://login.example.org/sso' },
+    value => { response = value; }
+  );
+
+  assert.deepStrictEqual(response, { success: true });
+  assert.deepStrictEqual(data.domainSettings, { 'login.example.org': { fieldSelector: '#otp' } });
+  // The pickers in the other frames are stopped
+  assert.deepStrictEqual(sent.map(message => message.message.action), ['stopPicker']);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { DomainMatcher } = loadScripts(['psl.js', 'domains.js'], ['DomainMatcher']);
+
+const domainWide = website => ({ website, matching: 'domain' });
+
+test('the registrable domain comes from the public suffix list', () => {
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('login.example.com'), 'example.com');
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('www.bank.co.at'), 'bank.co.at');
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('alice.blogspot.com'), 'alice.blogspot.com');
+  // *.ck with the exception !www.ck
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('a.shop.co.ck'), 'shop.co.ck');
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('login.www.ck'), 'www.ck');
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('192.168.0.1'), '192.168.0.1');
+});
+
+test('public suffixes and unknown TLDs have no registrable domain', () => {
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('co.at'), '');
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('blogspot.com'), '');
+  assert.strictEqual(DomainMatcher.getRegistrableDomain('router.internal-tld'), '');
+});
+
+test('domain matching never crosses owners under a shared suffix', () => {
+  assert.strictEqual(DomainMatcher.score(domainWide('bank.co.at'), 'evil.co.at'), 0);
+  assert.strictEqual(DomainMatcher.score(domainWide('alice.blogspot.com'), 'mallory.blogspot.com'), 0);
+  assert.strictEqual(DomainMatcher.score(domainWide('bank.co.at'), 'login.bank.co.at'), 1);
+  assert.strictEqual(DomainMatcher.score(domainWide('example.com'), 'accounts.example.com'), 1);
+});
+
+test('hosts without a registrable domain only match exactly', () => {
+  assert.strictEqual(DomainMatcher.score(domainWide('nas.home'), 'nas.home'), 3);
+  assert.strictEqual(DomainMatcher.score(domainWide('nas.home'), 'other.home'), 0);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { ImportParser } = loadScripts(
+  ['totp.js', 'psl.js', 'domains.js', 'storage.js', 'otpauth.js', 'importers.js'],
+  ['ImportParser']
+);
+
+const aegis = entries => JSON.stringify({
+  header: {},
+  db: { entries: entries.map(entry => ({ type: 'totp', info: { secret: 'JBSWY3DPEHPK3PXP', algo: 'SHA1' }, ...entry })) }
+});
+
+test('exported accounts only get a website from a domain in the export', () => {
+  const { accounts } = ImportParser.parse(aegis([
+    { name: 'me@example.com', issuer: 'github.com' },
+    { name: 'me@dropbox.com', issuer: 'Dropbox' },
+    { name: 'dropbox', issuer: '' }
+  ]));
+
+  assert.deepStrictEqual(accounts.map(account => account.website), ['github.com', '', '']);
+  assert.deepStrictEqual(accounts.map(account => account.name), ['me@example.com', 'me@dropbox.com', 'dropbox']);
+});
@@ -0,0 +1,14 @@
+// Runs the extension's classic scripts in this realm, the way the pages
+// load them with <script> tags, and returns the named globals
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(files, names) {
+  const source = files
+    .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+    .join('\n');
+  return vm.runInThisContext(`${source}\n({ ${names.join(', ')} })`, { filename: files.join(', ') });
+}
+
+module.exports = { loadScripts };
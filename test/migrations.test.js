@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { StorageMigrations } = loadScripts(
+  ['psl.js', 'domains.js', 'storage.js', 'migrations.js'],
+  ['StorageMigrations']
+);
+
+// chrome.storage.local over a plain object, copied in and out like the real one
+function useStorage(data) {
+  const copy = value => JSON.parse(JSON.stringify(value));
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async keys => {
+          if (!keys) return copy(data);
+          return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, copy(data[key])]));
+        },
+        set: async items => Object.assign(data, copy(items)),
+        remove: async keys => [].concat(keys).forEach(key => delete data[key])
+      }
+    }
+  };
+  return data;
+}
+
+// Version 1: each website's secrets as an array under its hostname, next
+// to the other keys
+const versionOne = () => ({
+  'github.com': [
+    { id: 'gh1', name: 'me', website: 'github.com', secret: 'JBSWY3DPEHPK3PXP' },
+    { id: 'gh2', name: 'work', website: 'github.com', secret: 'GEZDGNBVGY3TQOJQ' }
+  ],
+  // Older versions didn't always store the website or an id
+  'example.com': [{ name: 'bob', secret: 'MFRGGZDFMZTWQ2LK' }],
+  settings: { trashDays: 7 },
+  domainSettings: { 'github.com': { autoSubmit: true } }
+});
+
+test('version 1 accounts move into the indexed store', async () => {
+  const data = useStorage(versionOne());
+  await StorageMigrations.run();
+
+  const { byId, byWebsite } = data.accounts;
+  assert.deepStrictEqual(byWebsite['github.com'], ['gh1', 'gh2']);
+  assert.strictEqual(byWebsite['example.com'].length, 1);
+
+  const bob = byId[byWebsite['example.com'][0]];
+  assert.ok(bob.id);
+  assert.strictEqual(bob.name, 'bob');
+  assert.strictEqual(bob.website, 'example.com');
+  assert.strictEqual(byId.gh2.secret, 'GEZDGNBVGY3TQOJQ');
+  assert.strictEqual(Object.keys(byId).length, 3);
+
+  assert.deepStrictEqual(data.settings, { trashDays: 7 });
+  assert.deepStrictEqual(data.domainSettings, { 'github.com': { autoSubmit: true } });
+  assert.ok(!('github.com' in data));
+  assert.ok(!('example.com' in data));
+  assert.strictEqual(data.schemaVersion, 2);
+});
+
+test('an interrupted migration is finished without duplicates', async () => {
+  const data = useStorage(versionOne());
+  // Stopped after writing the store, before the old keys were removed
+  const { set } = StorageMigrations.MIGRATIONS[2](JSON.parse(JSON.stringify(data)));
+  Object.assign(data, set);
+
+  await StorageMigrations.run();
+
+  assert.strictEqual(Object.keys(data.accounts.byId).length, 3);
+  assert.strictEqual(data.accounts.byWebsite['example.com'].length, 1);
+  assert.ok(!('github.com' in data));
+  assert.strictEqual(data.schemaVersion, 2);
+});
+
+test('an up-to-date store is left alone', async () => {
+  const data = useStorage(versionOne());
+  await StorageMigrations.run();
+  const migrated = JSON.stringify(data);
+
+  await StorageMigrations.run();
+  assert.strictEqual(JSON.stringify(data), migrated);
+});
+
+test('identical accounts keep their own ids', async () => {
+  const copy = { name: 'me', website: 'github.com', secret: 'JBSWY3DPEHPK3PXP' };
+  const data = useStorage({
+    'github.com': [{ id: 'gh1', ...copy }, { id: 'gh2', ...copy }, { id: 'gh1', ...copy, name: 'work' }],
+    domainSettings: { 'github.com': { defaultSecretId: 'gh2' } }
+  });
+  // Interrupted once, as above
+  Object.assign(data, StorageMigrations.MIGRATIONS[2](JSON.parse(JSON.stringify(data))).set);
+  await StorageMigrations.run();
+
+  const { byId, byWebsite } = data.accounts;
+  assert.strictEqual(byWebsite['github.com'].length, 3);
+  assert.strictEqual(byId.gh2.name, 'me');
+  assert.ok(byId[data.domainSettings['github.com'].defaultSecretId]);
+  // The account whose id was taken got a new one, once
+  assert.deepStrictEqual(Object.values(byId).map(account => account.name).sort(), ['me', 'me', 'work']);
+});
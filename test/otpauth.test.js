@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { OtpAuthUri } = loadScripts(['psl.js', 'domains.js', 'otpauth.js'], ['OtpAuthUri']);
+
+test('an issuer that is a domain is its website', () => {
+  assert.strictEqual(OtpAuthUri.guessWebsite('github.com', 'example.com'), 'github.com');
+  assert.strictEqual(OtpAuthUri.guessWebsite('https://Login.Example.org/2fa'), 'login.example.org');
+});
+
+test('the current domain is used when the issuer is its name', () => {
+  assert.strictEqual(OtpAuthUri.guessWebsite('GitHub', 'github.com'), 'github.com');
+  assert.strictEqual(OtpAuthUri.guessWebsite('Digital Ocean', 'cloud.digitalocean.com'), 'cloud.digitalocean.com');
+  assert.strictEqual(OtpAuthUri.guessWebsite('Bank', 'www.bank.co.at'), 'www.bank.co.at');
+});
+
+test('nothing is guessed from part of the current domain', () => {
+  assert.strictEqual(OtpAuthUri.guessWebsite('X', 'dropbox.com'), '');
+  assert.strictEqual(OtpAuthUri.guessWebsite('Git', 'digitalocean.com'), '');
+  assert.strictEqual(OtpAuthUri.guessWebsite('Co', 'bank.co.at'), '');
+  assert.strictEqual(OtpAuthUri.guessWebsite('Example', 'example.unknown-tld'), '');
+  assert.strictEqual(OtpAuthUri.guessWebsite('GitHub'), '');
+});
+
+test('an empty issuer or one without letters or digits is not guessed', () => {
+  assert.strictEqual(OtpAuthUri.guessWebsite('', 'github.com'), '');
+  assert.strictEqual(OtpAuthUri.guessWebsite('  ', 'github.com'), '');
+  assert.strictEqual(OtpAuthUri.guessWebsite('***', 'github.com'), '');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { VaultSync } = loadScripts(['psl.js', 'domains.js', 'storage.js', 'sync.js'], ['VaultSync']);
+
+const account = (id, name, secret, fields = {}) => ({
+  id, name, issuer: '', website: 'example.com', secret, type: 'totp',
+  createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z', ...fields
+});
+const payload = secrets => ({ secrets, deleted: [] });
+const firstSync = { lastSyncedAt: '', syncedIds: [] };
+
+test('the first sync matches accounts from the same import by secret key', () => {
+  // Both browsers imported the same export, so only the ids differ
+  const local = [account('l1', 'alice', 'JBSWY3DPEHPK3PXP'), account('l2', 'bob', 'GEZDGNBVGY3TQOJQ')];
+  const remote = [account('r1', 'alice', 'JBSWY3DPEHPK3PXP'), account('r2', 'bob', 'GEZDGNBVGY3TQOJQ')];
+
+  const result = VaultSync.merge({ accounts: local, trash: {} }, payload(remote), firstSync);
+
+  assert.deepStrictEqual(result.accounts.map(s => s.id), ['r1', 'r2']);
+  assert.deepStrictEqual(result.renamed, [{ from: 'l1', to: 'r1' }, { from: 'l2', to: 'r2' }]);
+  assert.deepStrictEqual(result.added, []);
+  assert.deepStrictEqual(result.conflicts, []);
+});
+
+test('the first sync keeps both accounts when a name matches but the key does not', () => {
+  const local = [account('l1', 'alice', 'JBSWY3DPEHPK3PXP')];
+  const remote = [account('r1', 'alice', 'MFRGGZDFMZTWQ2LK')];
+
+  const result = VaultSync.merge({ accounts: local, trash: {} }, payload(remote), firstSync);
+
+  assert.deepStrictEqual(result.accounts.map(s => s.id), ['l1', 'r1']);
+  assert.deepStrictEqual(result.renamed, []);
+  assert.strictEqual(result.conflicts.length, 1);
+});
+
+test('later syncs match by id only', () => {
+  const local = [account('l1', 'alice', 'JBSWY3DPEHPK3PXP')];
+  const remote = [account('r1', 'alice', 'JBSWY3DPEHPK3PXP')];
+  const state = { lastSyncedAt: '2024-02-01T00:00:00.000Z', syncedIds: ['l1'] };
+
+  const result = VaultSync.merge({ accounts: local, trash: {} }, payload(remote), state);
+
+  assert.deepStrictEqual(result.accounts.map(s => s.id), ['l1', 'r1']);
+  assert.deepStrictEqual(result.renamed, []);
+});
+
+test('chrome.storage.sync chunks are only read once they all match', async () => {
+  const items = {};
+  globalThis.chrome = {
+    storage: {
+      sync: {
+        get: async () => JSON.parse(JSON.stringify(items)),
+        set: async values => Object.assign(items, values),
+        remove: async keys => keys.forEach(key => delete items[key])
+      }
+    }
+  };
+  const target = VaultSync.chromeSyncTarget();
+
+  await target.write('a'.repeat(VaultSync.CHUNK_SIZE + 10));
+  const first = items['chunk-0'];
+  await target.write('b'.repeat(VaultSync.CHUNK_SIZE + 10));
+  assert.strictEqual(await target.read(), 'b'.repeat(VaultSync.CHUNK_SIZE + 10));
+
+  // Another browser has the new count and hash, but not yet the new chunk-0
+  items['chunk-0'] = first;
+  await assert.rejects(target.read(), /not fully arrived/);
+});
+
+test('chrome.storage.sync is not written past its quota', async () => {
+  const items = { 'chunk-0': 'old', 'chunk-1': 'old', chunks: { count: 2, hash: '' } };
+  globalThis.chrome = {
+    storage: {
+      sync: {
+        get: async () => ({ ...items }),
+        set: async values => Object.assign(items, values),
+        remove: async keys => keys.forEach(key => delete items[key])
+      }
+    }
+  };
+  const target = VaultSync.chromeSyncTarget();
+
+  await assert.rejects(target.write('a'.repeat(VaultSync.CHROME_SYNC_QUOTA)), /Sync through a folder instead/);
+  assert.strictEqual(items['chunk-0'], 'old');
+
+  await target.write('b'.repeat(VaultSync.CHUNK_SIZE - 10));
+  assert.deepStrictEqual(Object.keys(items).sort(), ['chunk-0', 'chunks']);
+});
+
+test('a new sync file needs the password twice', async () => {
+  const target = { read: async () => null, write: async () => assert.fail('written') };
+
+  await assert.rejects(VaultSync.run('password1', target), { name: 'NoSyncFileError' });
+  await assert.rejects(VaultSync.run('password1', target, 'passwrod1'), { name: 'NoSyncFileError', message: /do not match/ });
+});
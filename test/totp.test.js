@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { TOTPGenerator } = loadScripts(['totp.js'], ['TOTPGenerator']);
+
+// RFC 6238 Appendix B: 8-digit codes, 30 second steps, with the ASCII seeds
+// "12345678901234567890" repeated to the hash's block-sized key length
+const seed = length => TOTPGenerator.base32Encode(
+  new TextEncoder().encode('1234567890'.repeat(7).slice(0, length))
+);
+
+const VECTORS = {
+  SHA1: [seed(20), ['94287082', '07081804', '14050471', '89005924', '69279037', '65353130']],
+  SHA256: [seed(32), ['46119246', '68084774', '67062674', '91819424', '90698825', '77737706']],
+  SHA512: [seed(64), ['90693936', '25091201', '99943326', '93441116', '38618901', '47863826']]
+};
+const TIMES = [59, 1111111109, 1111111111, 1234567890, 2000000000, 20000000000];
+
+for (const [algorithm, [secret, codes]] of Object.entries(VECTORS)) {
+  test(`RFC 6238 ${algorithm} test vectors`, async () => {
+    for (const [index, time] of TIMES.entries()) {
+      const { code } = await TOTPGenerator.generateTOTP(secret, time, 8, 30, algorithm);
+      assert.strictEqual(code, codes[index], `T = ${time}`);
+    }
+  });
+}
+
+test('algorithm names are normalized', () => {
+  assert.strictEqual(TOTPGenerator.normalizeAlgorithm('sha-256'), 'SHA256');
+  assert.strictEqual(TOTPGenerator.normalizeAlgorithm(undefined), 'SHA1');
+  assert.strictEqual(TOTPGenerator.normalizeAlgorithm('MD5'), null);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const { ImportPreview } = loadScripts(['psl.js', 'domains.js', 'ui.js'], ['ImportPreview']);
+
+const saved = { id: 's1', name: 'me', website: 'github.com' };
+const conflict = { existing: saved, sameKey: true };
+const account = (fields = {}) => ({ name: 'me', website: 'github.com', ...fields });
+
+test('a conflicting account is skipped, overwrites or is kept next to the saved one', () => {
+  assert.deepStrictEqual(ImportPreview.resolve(account(), conflict, { action: 'skip' }), { action: 'skip', reason: 'Already saved' });
+  assert.deepStrictEqual(ImportPreview.resolve(account(), conflict, { action: 'overwrite' }), { action: 'overwrite', existing: saved });
+  assert.deepStrictEqual(ImportPreview.resolve(account(), conflict, { action: 'add' }), { action: 'add', existing: saved });
+});
+
+test('other accounts are added when ticked', () => {
+  assert.deepStrictEqual(ImportPreview.resolve(account(), null, { action: 'add' }), { action: 'add' });
+  assert.deepStrictEqual(ImportPreview.resolve(account(), null, { action: 'skip' }), { action: 'skip', reason: 'Not selected' });
+});
+
+test('an account without a website needs one entered', () => {
+  const noWebsite = account({ website: '' });
+
+  assert.deepStrictEqual(
+    ImportPreview.resolve(noWebsite, null, { action: 'add', website: ' https://Example.com/login ' }),
+    { action: 'add', website: 'example.com' }
+  );
+  assert.deepStrictEqual(ImportPreview.resolve(noWebsite, null, { action: 'add' }), { action: 'skip', reason: 'No website entered' });
+  assert.deepStrictEqual(
+    ImportPreview.resolve(noWebsite, conflict, { action: 'add' }),
+    { action: 'skip', reason: 'No website entered' }
+  );
+  // An overwritten account keeps the saved one's website
+  assert.deepStrictEqual(
+    ImportPreview.resolve(noWebsite, conflict, { action: 'overwrite' }),
+    { action: 'overwrite', existing: saved, website: 'github.com' }
+  );
+});
@@ -0,0 +1,124 @@
+// TOTP Generator (shared by the popup and the background service worker)
+
+// Supported HMAC algorithms, keyed by the name stored on each secret
+const OTP_ALGORITHMS = {
+  SHA1: 'SHA-1',
+  SHA256: 'SHA-256',
+  SHA512: 'SHA-512'
+};
+
+class TOTPGenerator {
+  static base32Decode(encoded) {
+    const base32Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    encoded = encoded.replace(/=+$/, '');
+    let bits = '';
+
+    for (let i = 0; i < encoded.length; i++) {
+      const val = base32Chars.indexOf(encoded.charAt(i).toUpperCase());
+      if (val === -1) throw new Error('Invalid base32 character');
+      bits += val.toString(2).padStart(5, '0');
+    }
+
+    const bytes = new Uint8Array(Math.floor(bits.length / 8));
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(bits.substr(i * 8, 8), 2);
+    }
+
+    return bytes;
+  }
+
+  static base32Encode(bytes) {
+    const base32Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    let encoded = '';
+
+    for (const byte of bytes) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    for (let i = 0; i < bits.length; i += 5) {
+      encoded += base32Chars[parseInt(bits.substr(i, 5).padEnd(5, '0'), 2)];
+    }
+
+    return encoded;
+  }
+
+  // Accepts 'SHA1', 'SHA-256', 'sha512' etc. Missing values default to SHA1,
+  // unsupported ones return null.
+  static normalizeAlgorithm(algorithm) {
+    if (!algorithm) return 'SHA1';
+    const name = String(algorithm).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return OTP_ALGORITHMS[name] ? name : null;
+  }
+
+  static async hmac(algorithm, key, data) {
+    const hash = OTP_ALGORITHMS[this.normalizeAlgorithm(algorithm)];
+    if (!hash) throw new Error('Unsupported algorithm');
+
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw', key, { name: 'HMAC', hash }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, data);
+    return new Uint8Array(signature);
+  }
+
+  static async generateCode(key, counter, digits, algorithm) {
+    const counterBytes = new ArrayBuffer(8);
+    const counterView = new DataView(counterBytes);
+    counterView.setUint32(0, Math.floor(counter / 0x100000000), false);
+    counterView.setUint32(4, counter >>> 0, false);
+
+    const hmac = await this.hmac(algorithm, key, counterBytes);
+    const offset = hmac[hmac.length - 1] & 0xf;
+
+    const code = (
+      ((hmac[offset] & 0x7f) << 24) |
+      ((hmac[offset + 1] & 0xff) << 16) |
+      ((hmac[offset + 2] & 0xff) << 8) |
+      (hmac[offset + 3] & 0xff)
+    ) % Math.pow(10, digits);
+
+    return code.toString().padStart(digits, '0');
+  }
+
+  static async generateTOTP(secret, timestamp = null, digits = 6, period = 30, algorithm = 'SHA1') {
+    try {
+      const key = this.base32Decode(secret);
+      const time = timestamp || Math.floor(Date.now() / 1000);
+      const counter = Math.floor(time / period);
+
+      const code = await this.generateCode(key, counter, digits, algorithm);
+
+      const timeRemaining = period - (time % period);
+      const progress = ((period - timeRemaining) / period) * 100;
+
+      return {
+        code,
+        timeRemaining,
+        progress
+      };
+    } catch (error) {
+      throw new Error('Invalid secret key');
+    }
+  }
+
+  // RFC 4226 counter-based code. The caller owns the counter and is
+  // responsible for moving it forward once the code has been used.
+  static async generateHOTP(secret, counter = 0, digits = 6, algorithm = 'SHA1') {
+    try {
+      const key = this.base32Decode(secret);
+      return await this.generateCode(key, counter, digits, algorithm);
+    } catch (error) {
+      throw new Error('Invalid secret key');
+    }
+  }
+
+  static validateSecret(secret) {
+    try {
+      this.base32Decode(secret);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
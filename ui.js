@@ -0,0 +1,207 @@
+// Pieces shared by the extension's pages (the popup, the Manage page and the
+// chooser window): HTML escaping, backup downloads and the import preview.
+
+class PageUtils {
+  // Also used for attribute values, so quotes are escaped too
+  static escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  static downloadFile(text, fileName) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  // Named after today's date, e.g. totp-secrets-2024-05-01-encrypted.json
+  static downloadBackup(jsonData, suffix = '') {
+    this.downloadFile(jsonData, `totp-secrets-${new Date().toISOString().split('T')[0]}${suffix}.json`);
+  }
+
+  // The password is typed twice; a short or mismatched one throws with a
+  // message for the user before anything is exported
+  static async downloadEncryptedBackup(password, confirmPassword) {
+    if (password.length < 8) {
+      throw new Error('The backup password must be at least 8 characters');
+    }
+    if (password !== confirmPassword) {
+      throw new Error('The passwords do not match');
+    }
+
+    const jsonData = await StorageManager.exportSecrets();
+    this.downloadBackup(await EncryptedExport.encrypt(jsonData, password), '-encrypted');
+  }
+}
+
+// What a parsed backup would import, before anything is saved. Accounts
+// that match a saved one get a skip / overwrite / keep both menu; the rest
+// a checkbox. Accounts without a website get a field to enter one.
+// The page shows and hides its own import view around it.
+class ImportPreview {
+  constructor({ list, summary, confirmButton }) {
+    this.list = list;
+    this.summary = summary;
+    this.confirmButton = confirmButton;
+    this.pending = null;
+
+    this.list.addEventListener('change', () => this.updateConfirm());
+    this.list.addEventListener('input', () => this.updateConfirm());
+  }
+
+  // control is an extra element after the status, e.g. a conflict menu
+  renderRow(account, status, statusClass, checkbox = '', control = '') {
+    return `
+      <label class="flex items-start justify-between bg-white border border-gray-200 rounded px-3 py-2 text-sm">
+        ${checkbox}
+        <div class="flex-1 mr-2">
+          <div class="font-medium text-gray-800">${PageUtils.escapeHtml(account.name || account.issuer || 'Unnamed')}</div>
+          <div class="text-xs text-gray-500">${PageUtils.escapeHtml(account.website || account.issuer || '')}</div>
+        </div>
+        <div class="text-right">
+          <span class="text-xs ${statusClass}">${PageUtils.escapeHtml(status)}</span>
+          ${control}
+        </div>
+      </label>
+    `;
+  }
+
+  renderPreviewRow(account, index, conflict) {
+    const websiteField = account.website ? '' : `
+      <input type="text" class="import-website block ml-auto mt-1 w-36 px-1 border border-gray-300 rounded text-xs" data-index="${index}" placeholder="Website, e.g. example.com">
+    `;
+
+    if (!conflict) {
+      return this.renderRow(
+        account,
+        account.website ? (account.type === 'hotp' ? 'HOTP' : '') : 'Website needed',
+        account.website ? 'text-gray-500' : 'text-yellow-700',
+        `<input type="checkbox" class="import-select mr-2 mt-1" data-index="${index}" checked>`,
+        websiteField
+      );
+    }
+
+    const { existing, sameKey } = conflict;
+    const status = `${sameKey ? 'Same key as' : 'Same name as'} ${existing.name} (${existing.website})`;
+    return this.renderRow(account, status, 'text-yellow-700', '', `
+      <select class="import-action block ml-auto mt-1 border border-gray-300 rounded text-xs" data-index="${index}">
+        <option value="skip"${sameKey ? ' selected' : ''}>Skip</option>
+        <option value="overwrite">Overwrite</option>
+        <option value="add"${sameKey ? '' : ' selected'}>Keep both</option>
+      </select>
+      ${websiteField}
+    `);
+  }
+
+  // result: what ImportParser.parse returns
+  async show(result) {
+    const conflicts = await StorageManager.findImportConflicts(result.accounts);
+    this.pending = { ...result, conflicts };
+
+    const count = result.accounts.length;
+    const conflictCount = conflicts.filter(Boolean).length;
+    this.summary.textContent = `${result.formatName}: ${count} account${count !== 1 ? 's' : ''} found` +
+      (conflictCount ? `, ${conflictCount} already saved` : '') +
+      (result.skipped.length ? `, ${result.skipped.length} cannot be imported.` : '.');
+    const ruleCount = Object.keys(result.domainSettings || {}).length;
+    if (ruleCount > 0) {
+      this.summary.textContent += ` Site settings for ${ruleCount} domain${ruleCount !== 1 ? 's' : ''} will be imported too.`;
+    }
+
+    this.list.innerHTML = [
+      ...result.accounts.map((account, index) => this.renderPreviewRow(account, index, conflicts[index])),
+      ...result.skipped.map(account => this.renderRow(account, account.reason, 'text-red-600'))
+    ].join('');
+
+    this.confirmButton.classList.remove('hidden');
+    this.updateConfirm();
+  }
+
+  // What to do with each previewed account, for StorageManager.importSecrets
+  getResolutions() {
+    const { accounts, conflicts } = this.pending;
+    return accounts.map((account, index) => ImportPreview.resolve(account, conflicts[index], this.getChoice(index)));
+  }
+
+  // A row's conflict menu value, or whether it is ticked, and any website entered
+  getChoice(index) {
+    const row = selector => this.list.querySelector(`${selector}[data-index="${index}"]`);
+    const menu = row('.import-action');
+    const action = menu ? menu.value : (row('.import-select').checked ? 'add' : 'skip');
+    return { action, website: row('.import-website')?.value || '' };
+  }
+
+  // An account that conflicts with a saved one is skipped, overwrites it or
+  // is added next to it; any other is added if ticked. Without a website of
+  // its own it needs one entered, except that an overwritten account keeps
+  // the saved one's.
+  static resolve(account, conflict, { action, website = '' }) {
+    if (action === 'skip') {
+      return { action, reason: conflict ? 'Already saved' : 'Not selected' };
+    }
+
+    const resolution = conflict ? { action, existing: conflict.existing } : { action };
+    if (account.website) return resolution;
+
+    website = DomainMatcher.normalizeHost(website) || (action === 'overwrite' ? conflict.existing.website : '');
+    return website ? { ...resolution, website } : { action: 'skip', reason: 'No website entered' };
+  }
+
+  updateConfirm() {
+    if (!this.pending) return;
+
+    const selected = this.getResolutions().filter(resolution => resolution.action !== 'skip').length;
+    this.confirmButton.textContent = `Import ${selected} account${selected !== 1 ? 's' : ''}`;
+    this.confirmButton.disabled = selected === 0;
+    this.confirmButton.classList.toggle('opacity-50', selected === 0);
+  }
+
+  // Saves the chosen accounts and the backup's site settings. Returns the
+  // summary for showResults, or null when it failed (shown in the summary).
+  async confirm() {
+    if (!this.pending) return null;
+
+    const { accounts, skipped, domainSettings } = this.pending;
+    try {
+      const summary = await StorageManager.importSecrets(accounts, this.getResolutions());
+      if (domainSettings) {
+        await StorageManager.importDomainSettings(domainSettings);
+      }
+      this.pending = null;
+      return { ...summary, invalid: skipped };
+    } catch (error) {
+      console.error('Error importing secrets:', error);
+      this.summary.textContent = 'Failed to import secrets: ' + error.message;
+      return null;
+    }
+  }
+
+  // summary: { added, updated, skipped, invalid } lists of accounts; skipped
+  // and invalid ones carry a reason
+  showResults(summary) {
+    const { added = [], updated = [], skipped = [], invalid = [] } = summary;
+    this.confirmButton.classList.add('hidden');
+    this.summary.textContent =
+      `Added ${added.length}, updated ${updated.length}, skipped ${skipped.length}, invalid ${invalid.length}.`;
+
+    this.list.innerHTML = [
+      ...added.map(account => this.renderRow(account, 'Added', 'text-green-600')),
+      ...updated.map(account => this.renderRow(account, 'Updated', 'text-blue-600')),
+      ...skipped.map(account => this.renderRow(account, account.reason, 'text-gray-500')),
+      ...invalid.map(account => this.renderRow(account, account.reason, 'text-red-600'))
+    ].join('');
+  }
+
+  clear() {
+    this.pending = null;
+    this.list.innerHTML = '';
+    this.confirmButton.classList.add('hidden');
+  }
+}
@@ -0,0 +1,229 @@
+// Optional master-password encryption of stored secrets (shared by the
+// popup and the background service worker)
+
+class VaultCrypto {
+  static async deriveKey(password, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // AES-GCM; any additionalData is authenticated but not encrypted
+  static async encrypt(key, plaintext, additionalData = null) {
+    const iv = this.randomBytes(12);
+    const params = { name: 'AES-GCM', iv };
+    if (additionalData) params.additionalData = new TextEncoder().encode(additionalData);
+
+    const data = await crypto.subtle.encrypt(params, key, new TextEncoder().encode(plaintext));
+    return {
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data))
+    };
+  }
+
+  // Throws if the key is wrong or the data was modified
+  static async decrypt(key, payload, additionalData = null) {
+    const params = { name: 'AES-GCM', iv: this.fromBase64(payload.iv) };
+    if (additionalData) params.additionalData = new TextEncoder().encode(additionalData);
+
+    const data = await crypto.subtle.decrypt(params, key, this.fromBase64(payload.data));
+    return new TextDecoder().decode(data);
+  }
+
+  static randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+}
+
+// Only the secret key of each account is encrypted. Names and websites stay
+// readable so accounts can still be matched to a domain while locked.
+// The derived key lives in chrome.storage.session, which is cleared when the
+// browser closes and is not readable from content scripts.
+class Vault {
+  static PBKDF2_ITERATIONS = 600000;
+  static CHECK_VALUE = 'totp-vault';
+
+  static async getConfig() {
+    const { vault } = await chrome.storage.local.get(['vault']);
+    return vault || null;
+  }
+
+  static async isEnabled() {
+    return !!(await this.getConfig());
+  }
+
+  static async isLocked() {
+    return (await this.isEnabled()) && !(await this.getKey());
+  }
+
+  static async getKey() {
+    const { vaultKey } = await chrome.storage.session.get(['vaultKey']);
+    if (!vaultKey) return null;
+
+    return crypto.subtle.importKey(
+      'raw', VaultCrypto.fromBase64(vaultKey), 'AES-GCM', false, ['encrypt', 'decrypt']
+    );
+  }
+
+  static async storeKey(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ vaultKey: VaultCrypto.toBase64(raw) });
+  }
+
+  // Derives the key for the stored config and checks the password against it
+  static async deriveConfigKey(password, config) {
+    const key = await VaultCrypto.deriveKey(
+      password, VaultCrypto.fromBase64(config.kdf.salt), config.kdf.iterations
+    );
+
+    try {
+      await VaultCrypto.decrypt(key, config.check);
+    } catch {
+      throw new Error('Incorrect master password');
+    }
+
+    return key;
+  }
+
+  static async unlock(password) {
+    const config = await this.getConfig();
+    if (!config) throw new Error('No master password is set');
+
+    await this.storeKey(await this.deriveConfigKey(password, config));
+  }
+
+  static async lock() {
+    await chrome.storage.session.remove('vaultKey');
+  }
+
+  static async enable(password) {
+    if (await this.isEnabled()) throw new Error('A master password is already set');
+
+    const salt = VaultCrypto.randomBytes(16);
+    const iterations = this.PBKDF2_ITERATIONS;
+    const key = await VaultCrypto.deriveKey(password, salt, iterations);
+
+    await chrome.storage.local.set({
+      vault: {
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: VaultCrypto.toBase64(salt) },
+        check: await VaultCrypto.encrypt(key, this.CHECK_VALUE)
+      }
+    });
+    await this.storeKey(key);
+
+    // Secrets still in plain text are read as-is, so an interrupted
+    // rewrite leaves a mix that is still fully readable
+    await StorageManager.writeSecrets(await StorageManager.getAllSecrets(), key);
+  }
+
+  static async disable(password) {
+    const config = await this.getConfig();
+    if (!config) return;
+
+    const key = await this.deriveConfigKey(password, config);
+    await this.storeKey(key);
+
+    // Decrypted secrets are written back before the config goes away
+    await StorageManager.writeSecrets(await StorageManager.getAllSecrets(), null);
+    await chrome.storage.local.remove('vault');
+    await this.lock();
+  }
+
+  static async sealSecret(secret, key) {
+    const { secret: value, ...fields } = secret;
+    return { ...fields, encryptedSecret: await VaultCrypto.encrypt(key, value) };
+  }
+
+  static async openSecret(secret, key) {
+    if (!secret.encryptedSecret) return secret;
+    if (!key) throw new Error('The vault is locked');
+
+    const { encryptedSecret, ...fields } = secret;
+    return { ...fields, secret: await VaultCrypto.decrypt(key, encryptedSecret) };
+  }
+}
+
+// Password-protected backup file. The header is bound to the ciphertext as
+// AES-GCM additional data, and a separately encrypted check value tells a
+// wrong password apart from a file that was modified after export.
+class EncryptedExport {
+  static FORMAT = 'totp-encrypted-backup';
+  static CHECK_VALUE = 'totp-backup';
+
+  static isEncryptedExport(data) {
+    return !!data && data.format === this.FORMAT;
+  }
+
+  static header(envelope) {
+    return JSON.stringify({
+      format: envelope.format,
+      version: envelope.version,
+      cipher: envelope.cipher,
+      kdf: envelope.kdf
+    });
+  }
+
+  static async encrypt(plaintext, password) {
+    const salt = VaultCrypto.randomBytes(16);
+    const iterations = Vault.PBKDF2_ITERATIONS;
+    const key = await VaultCrypto.deriveKey(password, salt, iterations);
+
+    const envelope = {
+      format: this.FORMAT,
+      version: 1,
+      cipher: 'AES-GCM',
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: VaultCrypto.toBase64(salt) }
+    };
+    const header = this.header(envelope);
+
+    return JSON.stringify({
+      ...envelope,
+      check: await VaultCrypto.encrypt(key, this.CHECK_VALUE, header),
+      payload: await VaultCrypto.encrypt(key, plaintext, header)
+    }, null, 2);
+  }
+
+  static async decrypt(envelope, password) {
+    if (envelope.version !== 1 || envelope.cipher !== 'AES-GCM' || envelope.kdf?.name !== 'PBKDF2' ||
+        !envelope.check || !envelope.payload) {
+      throw new Error('Unsupported or damaged encrypted backup');
+    }
+
+    const header = this.header(envelope);
+    let key;
+    try {
+      key = await VaultCrypto.deriveKey(
+        password, VaultCrypto.fromBase64(envelope.kdf.salt), envelope.kdf.iterations
+      );
+      await VaultCrypto.decrypt(key, envelope.check, header);
+    } catch {
+      throw new Error('Incorrect password');
+    }
+
+    try {
+      return await VaultCrypto.decrypt(key, envelope.payload, header);
+    } catch {
+      throw new Error('The backup file has been modified or is damaged');
+    }
+  }
+}